@@ -0,0 +1,85 @@
+/**
+ * Account Module
+ * Sign-in / registration form and helpers for pages whose API calls need a session
+ */
+
+// Send the user to the sign-in page and come back here afterwards
+export function redirectToLogin() {
+    const next = encodeURIComponent(window.location.pathname + window.location.search);
+    window.location.href = `/login?next=${next}`;
+}
+
+// Throws after redirecting when the API answered 401
+export function checkAuthorized(response) {
+    if (response.status === 401) {
+        redirectToLogin();
+        throw new Error('Please sign in to continue');
+    }
+    return response;
+}
+
+export async function logout() {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.href = '/login';
+}
+
+function setupAuthForm() {
+    const form = document.getElementById('authForm');
+    if (!form) return;
+
+    const title = document.getElementById('authTitle');
+    const submit = document.getElementById('authSubmit');
+    const toggle = document.getElementById('authToggle');
+    const nameGroup = document.getElementById('nameGroup');
+    const password = document.getElementById('password');
+    const errorBox = document.getElementById('authError');
+    const errorText = document.getElementById('authErrorText');
+    let mode = 'login';
+
+    toggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        mode = mode === 'login' ? 'register' : 'login';
+        const registering = mode === 'register';
+        title.textContent = registering ? 'Create Account' : 'Sign In';
+        submit.textContent = registering ? 'Create Account' : 'Sign In';
+        toggle.textContent = registering ? 'Already have an account? Sign in' : 'New here? Create an account';
+        nameGroup.style.display = registering ? 'block' : 'none';
+        password.autocomplete = registering ? 'new-password' : 'current-password';
+        errorBox.style.display = 'none';
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorBox.style.display = 'none';
+        submit.disabled = true;
+
+        try {
+            const response = await fetch(`/api/auth/${mode}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('email').value,
+                    password: password.value,
+                    name: document.getElementById('name').value || undefined
+                })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Request failed');
+            }
+
+            // Only follow same-site paths
+            const next = new URLSearchParams(window.location.search).get('next');
+            window.location.href = next && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+        } catch (error) {
+            errorText.textContent = error.message;
+            errorBox.style.display = 'block';
+        } finally {
+            submit.disabled = false;
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupAuthForm);
+
+export default { redirectToLogin, checkAuthorized, logout };
@@ -1,3 +1,4 @@
+import { requestPrediction } from './prediction-jobs.js';
 
 console.log('📦 bp-prediction.js loaded - ML version');
 
@@ -8,23 +9,39 @@ class BloodPressurePrediction {
         this.minSamples = 100;
         this.bufferSize = 300;
         this.rppgBuffer = [];
+        // Capture time (ms) and face ROI of each buffered sample
+        this.sampleTimes = [];
+        this.sampleRois = [];
+        // Capture session of the current reading; links it to the session's video
+        this.sessionId = null;
 
         if (Array.isArray(window.rppgBuffer)) {
             this.rppgBuffer = [...window.rppgBuffer];
         }
     }
 
-    updateBuffer(newValue) {
+    updateBuffer(newValue, { timestamp = Date.now(), roi = null } = {}) {
         if (typeof newValue !== 'number' || isNaN(newValue)) return;
         
         this.rppgBuffer.push(newValue);
+        this.sampleTimes.push(timestamp);
+        this.sampleRois.push(roi);
         if (this.rppgBuffer.length > this.bufferSize) {
             this.rppgBuffer.shift();
+            this.sampleTimes.shift();
+            this.sampleRois.shift();
         }
         
         window.rppgBuffer = [...this.rppgBuffer];
     }
 
+    clearBuffer() {
+        this.rppgBuffer = [];
+        this.sampleTimes = [];
+        this.sampleRois = [];
+        window.rppgBuffer = [];
+    }
+
     async predictFromFace(faceData) {
         try {
             if (!faceData) throw new Error('No face data provided');
@@ -65,8 +82,10 @@ class BloodPressurePrediction {
             );
             
             return {
+                predictionId: prediction.predictionId,
                 systolic: prediction.systolic,
                 diastolic: prediction.diastolic,
+                uncertainty: prediction.uncertainty || null,
                 emotion: dominantEmotion,
                 suggestions
             };
@@ -79,27 +98,16 @@ class BloodPressurePrediction {
 
     async sendToBackend(data) {
         try {
-            // Normalize feature values
-        const normalizedFeatures = data.features.map(val => {
-            const num = Number(val);
-            return isNaN(num) ? 0 : num;
-        });
-        
-        const response = await fetch(this.apiEndpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-            signal: window.rppgBuffer, // send the raw signal
-            emotion: data.emotion
-            })
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Server error: ${errorText}`);
-        }
-        
-        return await response.json();
+            // Queues a prediction job and polls until the result is ready
+            // Times and ROIs let the server resample the trace and the replay page line it up with the video
+            const aligned = this.sampleTimes.length === this.rppgBuffer.length;
+            return await requestPrediction({
+                signal: this.rppgBuffer, // send the raw signal
+                timestamps: aligned ? this.sampleTimes : undefined,
+                rois: aligned && this.sampleRois.every(Boolean) ? this.sampleRois : undefined,
+                emotion: data.emotion,
+                sessionId: this.sessionId || undefined
+            });
         } catch (error) {
             console.error('API request failed:', error);
             throw new Error(`Prediction failed: ${error.message}`);
@@ -0,0 +1,83 @@
+/**
+ * Calibration Module
+ * Sends a cuff reading entered by the user to /api/calibrations
+ *
+ * Markup: form[data-calibration-form] with systolic, diastolic, pulse, measuredAt and device
+ * inputs and an optional [data-calibration-status] element. The page sets
+ * form.dataset.predictionId to pair the cuff reading with the reading it is showing;
+ * without it the server pairs it with the closest reading in time.
+ */
+
+import { checkAuthorized } from './auth.js';
+
+export class CalibrationForm {
+    constructor(form) {
+        this.form = form;
+        this.status = form.querySelector('[data-calibration-status]');
+
+        const measuredAt = form.elements.measuredAt;
+        if (measuredAt && !measuredAt.value) {
+            // datetime-local wants local time without a zone
+            const now = new Date();
+            measuredAt.value = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        }
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+    }
+
+    showStatus(message, isError = false) {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.dataset.state = isError ? 'error' : 'success';
+    }
+
+    reading() {
+        const { systolic, diastolic, pulse, measuredAt, device } = this.form.elements;
+        const number = (input) => input && input.value !== '' ? Number(input.value) : undefined;
+        return {
+            systolic: number(systolic),
+            diastolic: number(diastolic),
+            pulse: number(pulse),
+            measuredAt: measuredAt?.value ? new Date(measuredAt.value).toISOString() : undefined,
+            device: device?.value.trim() || undefined,
+            predictionId: this.form.dataset.predictionId || undefined
+        };
+    }
+
+    async submit() {
+        const button = this.form.querySelector('[type="submit"]');
+        if (button) button.disabled = true;
+
+        try {
+            const response = checkAuthorized(await fetch('/api/calibrations', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.reading())
+            }));
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to save the cuff reading');
+            }
+
+            const reading = result.data.prediction;
+            this.showStatus(reading
+                ? `Saved and paired with the VasoVue reading of ${new Date(reading.timestamp).toLocaleTimeString()}.`
+                : 'Saved. It will be paired with your next VasoVue reading taken soon after it.');
+            this.form.reset();
+        } catch (error) {
+            console.error('❌ Calibration failed:', error);
+            this.showStatus(error.message, true);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('form[data-calibration-form]').forEach(form => new CalibrationForm(form));
+});
+
+export default CalibrationForm;
@@ -0,0 +1,90 @@
+/**
+ * Consent Module
+ * Fills the consent checkboxes on a page from /api/consent and records the user's choices
+ *
+ * Markup: one [data-consent-scope="<scope>"] checkbox per scope shown, with optional
+ * [data-consent-title="<scope>"] and [data-consent-text="<scope>"] elements for the wording.
+ */
+
+import { checkAuthorized } from './auth.js';
+
+export class ConsentForm {
+    constructor(root, { required = [], submit = null } = {}) {
+        this.root = root;
+        this.required = required;
+        this.submit = submit;
+        this.scopes = {};
+
+        this.root?.addEventListener('change', () => this.updateSubmit());
+    }
+
+    checkbox(scope) {
+        return this.root?.querySelector(`[data-consent-scope="${scope}"]`) || null;
+    }
+
+    async load() {
+        const response = checkAuthorized(await fetch('/api/consent'));
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load consent');
+        }
+
+        this.scopes = Object.fromEntries(result.data.map(status => [status.scope, status]));
+        for (const status of result.data) {
+            const title = this.root?.querySelector(`[data-consent-title="${status.scope}"]`);
+            const text = this.root?.querySelector(`[data-consent-text="${status.scope}"]`);
+            if (title) title.textContent = status.title;
+            if (text) text.textContent = status.text;
+
+            const checkbox = this.checkbox(status.scope);
+            if (checkbox) checkbox.checked = status.valid;
+        }
+        this.updateSubmit();
+        return this.scopes;
+    }
+
+    // True while a shown scope has no decision on its current text
+    needsDecision() {
+        return Object.values(this.scopes).some(status =>
+            this.checkbox(status.scope) && status.decision?.version !== status.version
+        );
+    }
+
+    isGranted(scope) {
+        return Boolean(this.scopes[scope]?.valid);
+    }
+
+    updateSubmit() {
+        if (!this.submit) return;
+        this.submit.disabled = this.required.some(scope => !this.checkbox(scope)?.checked);
+    }
+
+    // Record every shown scope whose checkbox differs from the decision on file
+    async save() {
+        for (const status of Object.values(this.scopes)) {
+            const checkbox = this.checkbox(status.scope);
+            if (!checkbox) continue;
+            const undecided = status.decision?.version !== status.version;
+            if (!undecided && checkbox.checked === status.valid) continue;
+
+            const response = checkAuthorized(await fetch('/api/consent', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scope: status.scope, version: status.version, granted: checkbox.checked })
+            }));
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to save consent');
+            }
+
+            this.scopes[status.scope] = {
+                ...status,
+                decision: { granted: result.data.granted, version: result.data.version, timestamp: result.data.timestamp },
+                valid: result.data.granted
+            };
+        }
+        return this.scopes;
+    }
+}
+
+export default ConsentForm;
@@ -159,6 +159,13 @@ class FaceDetection {
                                     
                                     if (!isNaN(greenMean) && greenMean > 0) {
                                         faceData.rppgValue = greenMean;
+                                        // Stored with the sample as fractions of the frame, for replay
+                                        faceData.roi = [
+                                            roi.x / canvas.width,
+                                            roi.y / canvas.height,
+                                            Math.min(roi.width / canvas.width, 1),
+                                            Math.min(roi.height / canvas.height, 1)
+                                        ];
                                         console.log(`Extracted rPPG value: ${greenMean.toFixed(2)}`);
                                         
                                         // Enhanced ROI visualization
@@ -5,6 +5,7 @@ let rppgDataCheckInterval;
 import FaceDetection from './face-detection.js';
 import { BloodPressurePrediction } from './bp-prediction.js';
 import VideoRecorder from './recording.js';
+import ConsentForm from './consent.js';
 
 const MIN_SAMPLES_FOR_PREDICTION = 100;
 
@@ -33,6 +34,9 @@ document.addEventListener('DOMContentLoaded', async function() {
         progressBar: document.getElementById('dataProgress'),
         dataStatusContainer: document.getElementById('dataStatusContainer'),
         recordingStatus: document.getElementById('recordingStatus'),
+        uploadStatus: document.getElementById('uploadStatus'),
+        uploadStatusText: document.getElementById('uploadStatusText'),
+        uploadProgress: document.getElementById('uploadProgress'),
         recordingProgress: document.getElementById('recordingProgress'),
         recordedVideo: document.getElementById('recordedVideo'),
         resultsSection: document.getElementById('resultsSection'),
@@ -52,12 +56,19 @@ document.addEventListener('DOMContentLoaded', async function() {
     console.log('🎯 Initializing modules...');
     const faceDetection = new FaceDetection();
     const bpPredictor = new BloodPressurePrediction();
-    const videoRecorder = new VideoRecorder();
+    const videoRecorder = new VideoRecorder({ onUploadProgress: showUploadProgress });
+    const consentForm = new ConsentForm(document.getElementById('consentForm'), {
+        required: ['signal_storage'],
+        submit: document.getElementById('consentConfirm')
+    });
     let isDetectionRunning = false;
     let rppgDataCheckInterval;
     
     console.log('✅ All modules initialized successfully');
 
+    // Recordings whose upload was cut off by a reload or a dropped connection
+    videoRecorder.resumePending().catch(error => console.error('Error resuming uploads:', error));
+
     function showError(message, isFatal = false) {
         elements.errorMessage.textContent = message;
         elements.errorMessage.style.display = 'block';
@@ -71,6 +82,16 @@ document.addEventListener('DOMContentLoaded', async function() {
         elements.errorMessage.style.display = 'none';
     }
 
+    function showUploadProgress({ sent, total, percent }) {
+        if (!elements.uploadStatus) return;
+        elements.uploadStatus.style.display = 'block';
+        elements.uploadProgress.style.width = `${percent}%`;
+        elements.uploadProgress.setAttribute('aria-valuenow', percent);
+        elements.uploadStatusText.textContent = sent < total
+            ? `Uploading recording... ${(sent / 1048576).toFixed(1)} of ${(total / 1048576).toFixed(1)} MB`
+            : 'Recording uploaded';
+    }
+
     function updateDataStatus() {
         if (!window.rppgBuffer) {
             window.rppgBuffer = [];
@@ -158,6 +179,33 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
     }
 
+    // Ask for consent when a scope has no decision on its current text; resolves true once signal storage is granted
+    async function confirmConsent() {
+        await consentForm.load();
+        if (consentForm.needsDecision() || !consentForm.isGranted('signal_storage')) {
+            const modalElement = document.getElementById('consentModal');
+            const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+            const confirmed = await new Promise((resolve) => {
+                const confirmButton = document.getElementById('consentConfirm');
+                const onConfirm = () => {
+                    modalElement.removeEventListener('hidden.bs.modal', onHidden);
+                    resolve(true);
+                };
+                const onHidden = () => {
+                    confirmButton.removeEventListener('click', onConfirm);
+                    resolve(false);
+                };
+                confirmButton.addEventListener('click', onConfirm, { once: true });
+                modalElement.addEventListener('hidden.bs.modal', onHidden, { once: true });
+                modal.show();
+            });
+            modal.hide();
+            if (!confirmed) return false;
+            await consentForm.save();
+        }
+        return consentForm.isGranted('signal_storage');
+    }
+
     async function startDetection() {
         console.log('🎬 Starting detection...');
         if (isDetectionRunning) {
@@ -167,11 +215,16 @@ document.addEventListener('DOMContentLoaded', async function() {
 
         try {
             hideError();
+            if (!(await confirmConsent())) {
+                showError('Consent to store your pulse signal is required to take a reading');
+                return;
+            }
             elements.loadingSpinner.style.display = 'block';
             elements.startButton.disabled = true;
 
             console.log('🧹 Clearing buffers...');
             window.rppgBuffer = [];
+            bpPredictor.clearBuffer();
             if (window.rPPG && window.rPPG.clearBuffer) {
                 window.rPPG.clearBuffer(); // Clear rPPG module buffer too
             }
@@ -188,8 +241,15 @@ document.addEventListener('DOMContentLoaded', async function() {
                 elements.webcam.onloadedmetadata = resolve;
             });
 
-            console.log('🎥 Starting video recorder...');
-            await videoRecorder.start(stream);
+            // One id per capture session links the video upload to the reading
+            const sessionId = crypto.randomUUID();
+            bpPredictor.sessionId = sessionId;
+
+            // Face video is only recorded and uploaded with video storage consent
+            if (consentForm.isGranted('video_storage')) {
+                console.log('🎥 Starting video recorder...');
+                await videoRecorder.start(stream, { sessionId });
+            }
             
             console.log('👤 Starting face detection...');
             await faceDetection.startWebcam();
@@ -237,7 +297,7 @@ document.addEventListener('DOMContentLoaded', async function() {
             console.log(`✅ Added rPPG value: ${faceData.rppgValue.toFixed(2)}, buffer size: ${window.rppgBuffer.length}`);
             
             if (bpPredictor && typeof bpPredictor.updateBuffer === 'function') {
-                bpPredictor.updateBuffer(faceData.rppgValue);
+                bpPredictor.updateBuffer(faceData.rppgValue, faceData);
             }
         } else if (faceData.detected) {
             console.log('⚠️ Face detected but no valid rPPG value');
@@ -0,0 +1,47 @@
+/**
+ * Prediction Job Client
+ * Submits a signal to /api/predict and polls the queued job until it finishes
+ */
+
+import { checkAuthorized } from './auth.js';
+
+const DEFAULT_POLL_INTERVAL = 500; // ms
+const DEFAULT_POLL_TIMEOUT = 60000; // ms
+
+export async function requestPrediction(payload, { pollInterval = DEFAULT_POLL_INTERVAL, timeout = DEFAULT_POLL_TIMEOUT } = {}) {
+    const response = await fetch('/api/predict', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    checkAuthorized(response);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Server error: ${errorText}`);
+    }
+
+    const { jobId } = await response.json();
+    return waitForJob(jobId, { pollInterval, timeout });
+}
+
+export async function waitForJob(jobId, { pollInterval = DEFAULT_POLL_INTERVAL, timeout = DEFAULT_POLL_TIMEOUT } = {}) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+        const response = checkAuthorized(await fetch(`/api/jobs/${jobId}`));
+        if (!response.ok) {
+            throw new Error(`Job status request failed (${response.status})`);
+        }
+
+        const { data: job } = await response.json();
+        if (job.status === 'done') return job.result;
+        if (job.status === 'failed') throw new Error(job.error || 'Prediction job failed');
+
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+
+    throw new Error(`Prediction did not finish within ${timeout / 1000}s`);
+}
+
+export default { requestPrediction, waitForJob };
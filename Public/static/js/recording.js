@@ -1,35 +1,103 @@
+// Recordings still uploading live in IndexedDB, so a dropped connection or a reload can resume them
+const UPLOAD_DB = 'vasovue-uploads';
+const UPLOAD_STORE = 'pending';
+const MAX_RETRY_DELAY = 30000;
+// Fresh uploads started after the server lost one (expired, or assembled with a bad checksum)
+const MAX_UPLOAD_RESTARTS = 3;
+// Answers that refuse the recording itself (consent, size, type); retrying cannot change them
+const REFUSED_STATUSES = [400, 403, 413, 415];
+// Answers about the server-side upload, not the recording: start a new upload
+const RESTART_STATUSES = [404, 422];
+
+function openUploadDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(UPLOAD_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(UPLOAD_STORE, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withUploadStore(mode, action) {
+    const db = await openUploadDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(UPLOAD_STORE, mode);
+        const request = action(transaction.objectStore(UPLOAD_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+const savePending = (entry) => withUploadStore('readwrite', store => store.put(entry));
+const listPending = () => withUploadStore('readonly', store => store.getAll());
+const deletePending = (key) => withUploadStore('readwrite', store => store.delete(key));
+
+async function sha256Hex(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Resolves once the browser is back online (immediately when it is)
+function whenOnline() {
+    if (navigator.onLine) return Promise.resolve();
+    return new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+}
+
+// A response the upload cannot recover from by retrying
+class UploadRejected extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'UploadRejected';
+        this.status = status;
+    }
+}
+
 class VideoRecorder {
-    constructor() {
+    // onUploadProgress({ sent, total, percent }) is called as recording uploads advance
+    constructor({ onUploadProgress = null } = {}) {
         this.mediaRecorder = null;
         this.recordedBlobs = [];
         this.recordingInterval = null;
+        this.sessionId = null;
+        // When capture began (ms); the session's sample timestamps use the same clock
+        this.startedAt = null;
+        this.onUploadProgress = onUploadProgress;
     }
 
-    async start(stream, duration = 30000) {
+    // sessionId ties the uploaded video to the reading taken in the same session
+    async start(stream, { duration = 30000, sessionId = null } = {}) {
         try {
             this.recordedBlobs = [];
+            this.sessionId = sessionId;
             const options = { mimeType: 'video/webm;codecs=vp9' };
-            
+
             this.mediaRecorder = new MediaRecorder(stream, options);
-            
+
             this.mediaRecorder.ondataavailable = event => {
                 if (event.data && event.data.size > 0) {
                     this.recordedBlobs.push(event.data);
                 }
             };
-            
+
             this.mediaRecorder.onstop = () => {
-                this.saveRecording();
+                this.saveRecording().catch(() => {});
             };
-            
+
             this.mediaRecorder.start(100);
-            
+            this.startedAt = Date.now();
+
             setTimeout(() => {
                 if (this.mediaRecorder.state === 'recording') {
                     this.mediaRecorder.stop();
                 }
             }, duration);
-            
+
         } catch (error) {
             console.error('Recording error:', error);
             throw error;
@@ -48,27 +116,156 @@ class VideoRecorder {
     async saveRecording() {
         try {
             const blob = new Blob(this.recordedBlobs, { type: 'video/webm' });
-            const formData = new FormData();
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `recording_${timestamp}.webm`;
-            
-            formData.append('video', blob, filename);
-            
-            const response = await fetch('/api/upload-recording', {
-                method: 'POST',
-                body: formData
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to upload recording');
-            }
-            
-            return await response.json();
+            const entry = {
+                key: crypto.randomUUID(),
+                blob,
+                mimetype: blob.type,
+                checksum: await sha256Hex(blob),
+                sessionId: this.sessionId,
+                startedAt: this.startedAt,
+                uploadId: null,
+                createdAt: Date.now()
+            };
+            await savePending(entry);
+            return await this.upload(entry);
         } catch (error) {
             console.error('Error saving recording:', error);
             throw error;
         }
     }
+
+    // Finish uploads left over from an earlier page or connection drop
+    async resumePending() {
+        const results = [];
+        for (const entry of await listPending()) {
+            console.log('⏫ Resuming recording upload...');
+            try {
+                results.push(await this.upload(entry));
+            } catch (error) {
+                console.error('Error resuming recording upload:', error);
+            }
+        }
+        return results;
+    }
+
+    reportProgress(sent, total) {
+        if (this.onUploadProgress) {
+            this.onUploadProgress({ sent, total, percent: Math.round((sent / total) * 100) });
+        }
+    }
+
+    /**
+     * JSON API call that waits out network drops and server errors with
+     * growing delays. 409 answers are returned (they carry where to resume);
+     * other 4xx answers throw UploadRejected.
+     */
+    async request(url, options = {}) {
+        let delay = 1000;
+        for (;;) {
+            await whenOnline();
+            let response;
+            try {
+                response = await fetch(url, options);
+            } catch (error) {
+                console.warn(`Upload request failed, retrying in ${delay / 1000}s:`, error.message);
+            }
+
+            if (response && response.status !== 429 && response.status < 500) {
+                const result = await response.json();
+                if (response.ok || response.status === 409) return { status: response.status, ...result };
+                throw new UploadRejected(result.error || `Upload failed (${response.status})`, response.status);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay = Math.min(delay * 2, MAX_RETRY_DELAY);
+        }
+    }
+
+    // Where the server stands on an upload, or null when it no longer has it
+    async uploadStatus(uploadId) {
+        try {
+            return (await this.request(`/api/uploads/${uploadId}`)).data;
+        } catch (error) {
+            if (error instanceof UploadRejected && error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Resumable upload of a pending entry. When the server no longer has the
+     * upload (it expired, also after a 409 on complete) a new one is started
+     * from scratch; the local copy is only dropped once the server refuses
+     * the recording itself.
+     */
+    async upload(entry) {
+        for (let restarts = 0; ; restarts++) {
+            try {
+                const result = await this.sendUpload(entry);
+                await deletePending(entry.key);
+                return result;
+            } catch (error) {
+                if (!(error instanceof UploadRejected)) throw error;
+
+                if (RESTART_STATUSES.includes(error.status) && restarts < MAX_UPLOAD_RESTARTS) {
+                    console.warn(`Upload lost on the server (${error.message}), starting over`);
+                    entry.uploadId = null;
+                    await savePending(entry);
+                    continue;
+                }
+                if (REFUSED_STATUSES.includes(error.status)) {
+                    console.warn('Recording not uploaded:', error.message);
+                    await deletePending(entry.key);
+                    return null;
+                }
+                // Kept for the next page load (e.g. after signing in again)
+                throw error;
+            }
+        }
+    }
+
+    // Create (or pick up) the server upload, send the missing parts, then complete it
+    async sendUpload(entry) {
+        const { blob } = entry;
+        let status = entry.uploadId ? await this.uploadStatus(entry.uploadId) : null;
+        if (!status) {
+            status = (await this.request('/api/uploads', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    size: blob.size,
+                    checksum: entry.checksum,
+                    mimetype: entry.mimetype,
+                    sessionId: entry.sessionId || undefined,
+                    startedAt: entry.startedAt || undefined
+                })
+            })).data;
+            entry.uploadId = status.id;
+            await savePending(entry);
+        }
+
+        let received = status.received;
+        for (;;) {
+            while (received < blob.size) {
+                this.reportProgress(received, blob.size);
+                const part = await this.request(`/api/uploads/${entry.uploadId}/parts?offset=${received}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: blob.slice(received, received + status.chunkBytes)
+                });
+                if (!part.data) throw new UploadRejected(part.error, part.status);
+                received = part.data.received;
+            }
+            this.reportProgress(blob.size, blob.size);
+
+            const completed = await this.request(`/api/uploads/${entry.uploadId}/complete`, { method: 'POST' });
+            if (completed.status !== 409) return completed.data;
+
+            // The server is missing bytes after all; continue from what it has
+            status = await this.uploadStatus(entry.uploadId);
+            if (!status) throw new UploadRejected('Upload expired', 404);
+            received = status.received;
+        }
+    }
 }
 
-export default VideoRecorder;
\ No newline at end of file
+export default VideoRecorder;
@@ -0,0 +1,341 @@
+/**
+ * Replay Module
+ * Plays a stored recording next to the rPPG trace of its reading
+ *
+ * The playhead follows the video by sample timestamp, the face ROI is drawn over
+ * the video when the reading stored it, and stretches where the face was lost or
+ * moved are marked on the trace so they can be scrubbed to.
+ */
+
+import { checkAuthorized } from './auth.js';
+
+const MAX_RECORDINGS = 50;
+// An interval this many times the median one means frames were lost (usually no face)
+const GAP_FACTOR = 3;
+// ROI centre moving this much of the frame between samples counts as motion
+const MOTION_THRESHOLD = 0.02;
+
+const DAMAGE_STYLES = {
+    gap: { label: 'Face lost', rgb: '220, 53, 69' },
+    motion: { label: 'Motion', rgb: '253, 126, 20' }
+};
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Match the canvas backing size to its displayed size (resizing clears it)
+function fitCanvas(canvas, width, height) {
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Seconds into the video of every sample. Timestamps are measured from the
+ * recording's startedAt (same client clock); a reading without timestamps is
+ * taken as uniform at its sample rate from the start of the video.
+ */
+export function sampleTimes(prediction, startedAt) {
+    const { signal, timestamps, sampleRate } = prediction;
+    if (!Array.isArray(timestamps) || timestamps.length !== signal.length) {
+        return signal.map((value, i) => i / (sampleRate || 30));
+    }
+    const origin = startedAt ? new Date(startedAt).getTime() : timestamps[0];
+    return timestamps.map(t => (t - origin) / 1000);
+}
+
+// Stretches of the trace damaged by lost frames or ROI motion: [{ start, end, reason }]
+export function findDamage(times, rois = null) {
+    if (times.length < 2) return [];
+    const interval = median(times.slice(1).map((t, i) => t - times[i]));
+    const damage = [];
+
+    const mark = (start, end, reason) => {
+        const last = damage[damage.length - 1];
+        if (last && last.reason === reason && last.end >= start) {
+            last.end = Math.max(last.end, end);
+        } else {
+            damage.push({ start, end, reason });
+        }
+    };
+
+    for (let i = 1; i < times.length; i++) {
+        if (times[i] - times[i - 1] > GAP_FACTOR * interval) {
+            mark(times[i - 1], times[i], 'gap');
+        } else if (rois) {
+            const [x0, y0, w0, h0] = rois[i - 1];
+            const [x1, y1, w1, h1] = rois[i];
+            const moved = Math.hypot((x1 + w1 / 2) - (x0 + w0 / 2), (y1 + h1 / 2) - (y0 + h0 / 2));
+            if (moved > MOTION_THRESHOLD) mark(times[i - 1], times[i], 'motion');
+        }
+    }
+    return damage;
+}
+
+export class ReplayViewer {
+    constructor() {
+        this.select = document.getElementById('replayRecording');
+        this.video = document.getElementById('replayVideo');
+        this.overlay = document.getElementById('replayOverlay');
+        this.waveform = document.getElementById('replayWaveform');
+        this.scrubber = document.getElementById('replayScrubber');
+        this.timeLabel = document.getElementById('replayTime');
+        this.damageList = document.getElementById('replayDamage');
+        this.message = document.getElementById('replayMessage');
+
+        this.recordings = [];
+        this.trace = null;
+        this.duration = 0;
+        this.isScrubbing = false;
+
+        this.select.addEventListener('change', () => this.load(this.select.value));
+        this.scrubber.addEventListener('input', () => this.seek(Number(this.scrubber.value) / 1000 * this.duration));
+
+        // Click or drag on the trace to move the playhead there
+        this.waveform.addEventListener('pointerdown', (event) => {
+            this.isScrubbing = true;
+            this.waveform.setPointerCapture(event.pointerId);
+            this.seekToPointer(event);
+        });
+        this.waveform.addEventListener('pointermove', (event) => {
+            if (this.isScrubbing) this.seekToPointer(event);
+        });
+        this.waveform.addEventListener('pointerup', () => {
+            this.isScrubbing = false;
+        });
+
+        const tick = () => {
+            this.render();
+            requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+    }
+
+    showMessage(text, isError = false) {
+        this.message.textContent = text;
+        this.message.className = `alert ${isError ? 'alert-danger' : 'alert-secondary'}`;
+        this.message.style.display = text ? 'block' : 'none';
+    }
+
+    async initialize() {
+        try {
+            const response = checkAuthorized(await fetch(`/api/recordings?limit=${MAX_RECORDINGS}`));
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to load recordings');
+            }
+            this.recordings = result.data;
+        } catch (error) {
+            console.error('❌ Loading recordings failed:', error);
+            this.showMessage(error.message, true);
+            return;
+        }
+
+        if (this.recordings.length === 0) {
+            this.showMessage('You have no stored recordings yet.');
+            return;
+        }
+
+        this.select.innerHTML = '';
+        for (const recording of this.recordings) {
+            const option = document.createElement('option');
+            const reading = recording.prediction;
+            option.value = recording._id;
+            option.textContent = new Date(recording.createdAt).toLocaleString()
+                + (reading ? ` — ${Math.round(reading.systolic)}/${Math.round(reading.diastolic)} mmHg` : ' — no reading');
+            this.select.appendChild(option);
+        }
+
+        const requested = new URLSearchParams(window.location.search).get('recording');
+        if (requested && this.recordings.some(r => r._id === requested)) {
+            this.select.value = requested;
+        }
+        await this.load(this.select.value);
+    }
+
+    async load(id) {
+        const recording = this.recordings.find(r => r._id === id);
+        if (!recording) return;
+
+        this.showMessage('Loading recording...');
+        this.video.pause();
+        this.trace = null;
+        this.duration = 0;
+        this.damageList.innerHTML = '';
+
+        try {
+            // Streamed with the session cookie; the server answers Range requests, so seeking only fetches what is shown
+            this.video.src = recording.url;
+            await new Promise((resolve, reject) => {
+                this.video.onloadedmetadata = resolve;
+                this.video.onerror = () => reject(new Error('The video could not be played'));
+            });
+            await this.resolveDuration();
+        } catch (error) {
+            console.error('❌ Loading recording failed:', error);
+            this.showMessage(error.message, true);
+            return;
+        }
+
+        const reading = recording.prediction;
+        if (!reading || !Array.isArray(reading.signal)) {
+            this.showMessage(reading
+                ? 'The rPPG trace of this reading is no longer stored.'
+                : 'This recording is not linked to a reading.');
+            this.duration = this.video.duration || 0;
+            return;
+        }
+
+        const times = sampleTimes(reading, recording.startedAt);
+        const rois = Array.isArray(reading.rois) && reading.rois.length === times.length ? reading.rois : null;
+        this.trace = {
+            signal: reading.signal,
+            times,
+            rois,
+            interval: times.length > 1 ? median(times.slice(1).map((t, i) => t - times[i])) : 0,
+            damage: findDamage(times, rois)
+        };
+        this.duration = Math.max(Number.isFinite(this.video.duration) ? this.video.duration : 0, times[times.length - 1]);
+
+        const notes = [];
+        if (!recording.startedAt || !reading.timestamps) notes.push('the trace is aligned by sample count, not by timestamp');
+        if (!rois) notes.push('no ROI was stored for this reading');
+        this.showMessage(notes.length ? `Note: ${notes.join('; ')}.` : '');
+        this.renderDamageList();
+    }
+
+    // MediaRecorder files carry no duration; seeking past the end makes the browser work it out
+    async resolveDuration() {
+        if (Number.isFinite(this.video.duration)) return;
+        await new Promise(resolve => {
+            const done = () => {
+                if (!Number.isFinite(this.video.duration)) return;
+                this.video.removeEventListener('durationchange', done);
+                resolve();
+            };
+            this.video.addEventListener('durationchange', done);
+            this.video.currentTime = Number.MAX_SAFE_INTEGER;
+        });
+        this.video.currentTime = 0;
+    }
+
+    renderDamageList() {
+        this.damageList.innerHTML = '';
+        if (this.trace.damage.length === 0) {
+            this.damageList.innerHTML = '<li class="list-group-item text-muted">No lost frames or motion found in this trace.</li>';
+            return;
+        }
+        for (const { start, end, reason } of this.trace.damage) {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'list-group-item list-group-item-action';
+            const { label, rgb } = DAMAGE_STYLES[reason];
+            item.innerHTML = `<span class="badge me-2" style="background: rgb(${rgb})">${label}</span>${formatTime(start)} – ${formatTime(end)}`;
+            item.addEventListener('click', () => this.seek(start));
+            this.damageList.appendChild(item);
+        }
+    }
+
+    seek(time) {
+        if (!this.duration) return;
+        this.video.currentTime = Math.min(Math.max(time, 0), this.duration);
+        this.render();
+    }
+
+    seekToPointer(event) {
+        const rect = this.waveform.getBoundingClientRect();
+        this.seek((event.clientX - rect.left) / rect.width * this.duration);
+    }
+
+    // Index of the sample closest to `time`, or -1 when no sample is near it
+    sampleAt(time) {
+        const { times, interval } = this.trace;
+        let low = 0;
+        let high = times.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (times[mid] < time) low = mid + 1;
+            else high = mid;
+        }
+        if (low > 0 && time - times[low - 1] < times[low] - time) low -= 1;
+        return Math.abs(times[low] - time) <= interval * GAP_FACTOR / 2 ? low : -1;
+    }
+
+    render() {
+        const time = this.video.currentTime || 0;
+        this.timeLabel.textContent = `${formatTime(time)} / ${formatTime(this.duration)}`;
+        if (this.duration && !this.isScrubbing) {
+            this.scrubber.value = Math.round(time / this.duration * 1000);
+        }
+        this.renderWaveform(time);
+        this.renderOverlay(time);
+    }
+
+    renderWaveform(time) {
+        const canvas = this.waveform;
+        fitCanvas(canvas, canvas.clientWidth, canvas.clientHeight);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.trace || !this.duration) return;
+
+        const { signal, times, damage } = this.trace;
+        const x = (t) => t / this.duration * canvas.width;
+
+        for (const { start, end, reason } of damage) {
+            ctx.fillStyle = `rgba(${DAMAGE_STYLES[reason].rgb}, 0.2)`;
+            ctx.fillRect(x(start), 0, Math.max(x(end) - x(start), 2), canvas.height);
+        }
+
+        const min = Math.min(...signal);
+        const range = Math.max(...signal) - min || 1;
+        const y = (value) => canvas.height - 8 - (value - min) / range * (canvas.height - 16);
+        ctx.strokeStyle = '#0d6efd';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        signal.forEach((value, i) => {
+            // Break the line across lost frames instead of bridging them
+            const broken = i > 0 && times[i] - times[i - 1] > GAP_FACTOR * this.trace.interval;
+            if (i === 0 || broken) ctx.moveTo(x(times[i]), y(value));
+            else ctx.lineTo(x(times[i]), y(value));
+        });
+        ctx.stroke();
+
+        ctx.strokeStyle = '#dc3545';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x(time), 0);
+        ctx.lineTo(x(time), canvas.height);
+        ctx.stroke();
+    }
+
+    renderOverlay(time) {
+        const canvas = this.overlay;
+        fitCanvas(canvas, this.video.clientWidth, this.video.clientHeight);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.trace?.rois) return;
+
+        const index = this.sampleAt(time);
+        if (index === -1) return;
+        const [rx, ry, rw, rh] = this.trace.rois[index];
+        ctx.strokeStyle = 'lime';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(rx * canvas.width, ry * canvas.height, rw * canvas.width, rh * canvas.height);
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.1)';
+        ctx.fillRect(rx * canvas.width, ry * canvas.height, rw * canvas.width, rh * canvas.height);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new ReplayViewer().initialize();
+});
+
+export default ReplayViewer;
@@ -5,6 +5,7 @@ document.addEventListener('DOMContentLoaded', function() {
     const errorText = document.getElementById('errorText') || errorMessage;
     const systolicValue = document.getElementById('systolicValue');
     const diastolicValue = document.getElementById('diastolicValue');
+    const bpRange = document.getElementById('bpRange');
     const bpCategory = document.getElementById('bpCategory');
     const detectedEmotion = document.getElementById('detectedEmotion');
     const suggestionsList = document.getElementById('suggestionsList');
@@ -60,6 +61,33 @@ document.addEventListener('DOMContentLoaded', function() {
         return [...base, ...extra];
     }
 
+    // Whole mmHg plus the model's interval, e.g. "118 ± 9 / 78 ± 6 mmHg (90% range)"
+    function showBloodPressure(systolic, diastolic, uncertainty) {
+        systolicValue.textContent = Math.round(systolic);
+        diastolicValue.textContent = Math.round(diastolic);
+
+        if (!uncertainty || !bpRange) return;
+        const low = (value, margin) => Math.round(value - margin);
+        const high = (value, margin) => Math.round(value + margin);
+        bpRange.textContent = `Likely range (${Math.round(uncertainty.level * 100)}%): ` +
+            `${low(systolic, uncertainty.systolicMargin)}–${high(systolic, uncertainty.systolicMargin)} / ` +
+            `${low(diastolic, uncertainty.diastolicMargin)}–${high(diastolic, uncertainty.diastolicMargin)} mmHg`;
+        bpRange.style.display = 'block';
+    }
+
+    // Which values are shown: the model's own estimate or the one calibrated to the user's cuff
+    function showCalibration(prediction) {
+        const bpCalibration = document.getElementById('bpCalibration');
+        if (!bpCalibration || !prediction.raw) return;
+
+        const calibration = prediction.personalCalibration;
+        bpCalibration.textContent = calibration
+            ? `Calibrated to your cuff readings (last on ${new Date(calibration.calibratedAt).toLocaleDateString()}). ` +
+              `Uncalibrated estimate: ${Math.round(prediction.raw.systolic)}/${Math.round(prediction.raw.diastolic)} mmHg.`
+            : 'Uncalibrated estimate. Add a cuff reading below to calibrate future readings.';
+        bpCalibration.style.display = 'block';
+    }
+
     function getMotivation(category, emotion) {
         if (category === 'Normal') {
             return "🎉 Excellent! Your blood pressure is in the healthy range. Keep it up!";
@@ -82,8 +110,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // If emotion is not present, default to 'neutral'
         const emotion = (prediction.emotion || 'neutral').toLowerCase();
 
-        systolicValue.textContent = systolic.toFixed(1);
-        diastolicValue.textContent = diastolic.toFixed(1);
+        showBloodPressure(systolic, diastolic, prediction.uncertainty);
         detectedEmotion.textContent = emotion.charAt(0).toUpperCase() + emotion.slice(1);
 
         // BP Category
@@ -116,8 +143,8 @@ document.addEventListener('DOMContentLoaded', function() {
         errorText.textContent = err.message;
     }
     function showResults(prediction) {
-        systolicValue.textContent = prediction.systolic.toFixed(1);
-        diastolicValue.textContent = prediction.diastolic.toFixed(1);
+        showBloodPressure(prediction.systolic, prediction.diastolic, prediction.uncertainty);
+        showCalibration(prediction);
         detectedEmotion.textContent = (prediction.emotion || 'neutral').charAt(0).toUpperCase() + (prediction.emotion || 'neutral').slice(1);
 
         const cat = determineBPCategory(prediction.systolic, prediction.diastolic);
@@ -127,6 +154,11 @@ document.addEventListener('DOMContentLoaded', function() {
         const suggestions = getPersonalizedSuggestions(cat.name, prediction.emotion || 'neutral');
         suggestionsList.innerHTML = suggestions.map(s => `<li class="list-group-item"><i class="fas fa-check-circle text-success me-2"></i>${s}</li>`).join('');
 
+        // Pair cuff readings entered below with this reading
+        const calibrationForm = document.getElementById('calibrationForm');
+        const predictionId = prediction.predictionId || prediction._id;
+        if (calibrationForm && predictionId) calibrationForm.dataset.predictionId = predictionId;
+
         loadingState.style.display = 'none';
         resultsContainer.style.display = 'block';
     }
@@ -148,7 +180,13 @@ document.addEventListener('DOMContentLoaded', function() {
     } else {
         // 2. Fallback: fetch from backend (for reloads/bookmarks)
         fetch('/api/predict/result')
-            .then(res => res.json())
+            .then(res => {
+                if (res.status === 401) {
+                    window.location.href = '/login?next=/results';
+                    throw new Error('Please sign in to see your results');
+                }
+                return res.json();
+            })
             .then(data => {
                 if (data.success && data.data) {
                     showResults(data.data);
@@ -0,0 +1,347 @@
+/**
+ * rPPG Feature Extraction Module
+ * Preprocesses rPPG traces and computes the BP model feature vector.
+ *
+ * Shared by the browser (rppg.js) and the Express server so both sides
+ * always produce identical features. Every feature mirrors
+ * model/python_src/models/Features.py (numpy/pandas/scipy defaults).
+ */
+
+export const DEFAULT_SAMPLE_RATE = 30; // Hz
+export const MIN_SAMPLE_RATE = 10; // Hz, keeps the 4 Hz pulse band below Nyquist
+export const MAX_SAMPLE_RATE = 240; // Hz
+export const MIN_SAMPLES_FOR_PREDICTION = 100; // ~3.3 seconds of data
+export const WELCH_MAX_SEGMENT = 256;
+
+// Column order of synthetic_bp_dataset.csv (minus the two BP targets)
+export const FEATURE_NAMES = [
+    'mean_amplitude',
+    'std_amplitude',
+    'rms_amplitude',
+    'num_peaks',
+    'mean_peak_interval',
+    'std_peak_interval',
+    'skewness',
+    'kurtosis',
+    'dominant_frequency',
+    'total_power',
+    'peak_power'
+];
+
+// Statistical helpers (population statistics, like numpy defaults)
+export function mean(arr) {
+    return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+export function std(arr) {
+    const m = mean(arr);
+    return Math.sqrt(arr.reduce((a, b) => a + (b - m) * (b - m), 0) / arr.length);
+}
+
+export function rms(arr) {
+    return Math.sqrt(arr.reduce((a, b) => a + b * b, 0) / arr.length);
+}
+
+// Bias-corrected sample skewness, same as pandas Series.skew()
+export function skewness(arr) {
+    const n = arr.length;
+    if (n < 3) return NaN;
+
+    const m = mean(arr);
+    let m2 = 0;
+    let m3 = 0;
+    for (const x of arr) {
+        const d = x - m;
+        m2 += d * d;
+        m3 += d * d * d;
+    }
+    if (m2 === 0) return 0;
+
+    return (n * Math.sqrt(n - 1) / (n - 2)) * (m3 / Math.pow(m2, 1.5));
+}
+
+// Bias-corrected excess kurtosis, same as pandas Series.kurtosis()
+export function kurtosis(arr) {
+    const n = arr.length;
+    if (n < 4) return NaN;
+
+    const m = mean(arr);
+    let m2 = 0;
+    let m4 = 0;
+    for (const x of arr) {
+        const d2 = (x - m) * (x - m);
+        m2 += d2;
+        m4 += d2 * d2;
+    }
+
+    const adj = 3 * (n - 1) * (n - 1) / ((n - 2) * (n - 3));
+    const numerator = n * (n + 1) * (n - 1) * m4;
+    const denominator = (n - 2) * (n - 3) * m2 * m2;
+    if (denominator === 0) return 0;
+
+    return numerator / denominator - adj;
+}
+
+// Simple first-order IIR highpass followed by lowpass
+export function bandpassFilter(signal, lowcut, highcut, fs) {
+    const dt = 1 / fs;
+    const RC_low = 1 / (2 * Math.PI * highcut);
+    const RC_high = 1 / (2 * Math.PI * lowcut);
+
+    const alpha_low = dt / (dt + RC_low);
+    const alpha_high = RC_high / (RC_high + dt);
+
+    const filtered = signal.slice();
+
+    // Highpass filter
+    for (let i = 1; i < filtered.length; i++) {
+        filtered[i] = alpha_high * (filtered[i - 1] + signal[i] - signal[i - 1]);
+    }
+
+    // Lowpass filter
+    for (let i = 1; i < filtered.length; i++) {
+        filtered[i] = filtered[i - 1] + alpha_low * (filtered[i] - filtered[i - 1]);
+    }
+
+    return filtered;
+}
+
+// Bandpass to the heart-rate band (0.7-4 Hz, 42-240 BPM) and z-score normalize
+export function prepareSignalForML(signal, sampleRate = DEFAULT_SAMPLE_RATE) {
+    // Remove the DC level first so the filter does not start with a large step
+    const values = signal.map(Number);
+    const offset = mean(values);
+    const filtered = bandpassFilter(values.map(val => val - offset), 0.7, 4.0, sampleRate);
+    const m = mean(filtered);
+    const s = std(filtered);
+    return filtered.map(val => (val - m) / (s || 1));
+}
+
+// Sampling rate implied by timestamps (seconds): samples per second over the whole span,
+// the same 1 / mean(diff(t)) as Features.py. Millisecond-rounded frame times of a 30 fps
+// trace (33, 34, 33 ms...) still give 30 Hz, where a median step of 33 ms would give 30.3 Hz.
+export function estimateSampleRate(timestamps) {
+    if (timestamps.length < 2) return NaN;
+    return (timestamps.length - 1) / (timestamps[timestamps.length - 1] - timestamps[0]);
+}
+
+/**
+ * Linearly interpolate a timestamped trace onto a uniform grid.
+ *
+ * @param {number[]} signal - samples
+ * @param {number[]} timestamps - strictly increasing sample times in seconds
+ * @param {number} sampleRate - grid rate in Hz
+ * @returns {number[]} samples at timestamps[0] + i / sampleRate
+ */
+export function resampleUniform(signal, timestamps, sampleRate) {
+    const start = timestamps[0];
+    const end = timestamps[timestamps.length - 1];
+    const count = Math.floor((end - start) * sampleRate + 1e-9) + 1;
+
+    const resampled = [];
+    let j = 0;
+    for (let i = 0; i < count; i++) {
+        const t = start + i / sampleRate;
+        while (j < timestamps.length - 2 && timestamps[j + 1] < t) {
+            j++;
+        }
+        const w = Math.min(1, Math.max(0, (t - timestamps[j]) / (timestamps[j + 1] - timestamps[j])));
+        resampled.push(signal[j] + w * (signal[j + 1] - signal[j]));
+    }
+
+    return resampled;
+}
+
+/**
+ * Local maxima, same as scipy.signal.find_peaks(x) without constraints.
+ * Flat peaks report the (left-biased) middle sample of the plateau.
+ */
+export function findPeaks(signal) {
+    const peaks = [];
+    const iMax = signal.length - 1;
+    let i = 1;
+
+    while (i < iMax) {
+        if (signal[i - 1] < signal[i]) {
+            let iAhead = i + 1;
+            while (iAhead < iMax && signal[iAhead] === signal[i]) {
+                iAhead++;
+            }
+            if (signal[iAhead] < signal[i]) {
+                peaks.push(Math.floor((i + iAhead - 1) / 2));
+                i = iAhead;
+            }
+        }
+        i++;
+    }
+
+    return peaks;
+}
+
+/**
+ * Power spectral density, same as scipy.signal.welch(x, fs, nperseg)
+ * with its defaults: periodic Hann window, 50% overlap, constant
+ * detrend, one-sided density scaling, mean averaging.
+ */
+export function welch(signal, fs, nperseg = Math.min(WELCH_MAX_SEGMENT, signal.length)) {
+    const noverlap = Math.floor(nperseg / 2);
+    const step = nperseg - noverlap;
+    const segmentCount = Math.floor((signal.length - noverlap) / step);
+    const binCount = Math.floor(nperseg / 2) + 1;
+
+    const window = [];
+    let windowPower = 0;
+    for (let k = 0; k < nperseg; k++) {
+        const w = 0.5 - 0.5 * Math.cos(2 * Math.PI * k / nperseg);
+        window.push(w);
+        windowPower += w * w;
+    }
+    const scale = 1 / (fs * windowPower);
+
+    const psd = new Array(binCount).fill(0);
+    for (let s = 0; s < segmentCount; s++) {
+        const segment = signal.slice(s * step, s * step + nperseg);
+        const segmentMean = mean(segment);
+        const windowed = segment.map((x, k) => (x - segmentMean) * window[k]);
+
+        for (let k = 0; k < binCount; k++) {
+            let re = 0;
+            let im = 0;
+            for (let t = 0; t < nperseg; t++) {
+                const angle = 2 * Math.PI * k * t / nperseg;
+                re += windowed[t] * Math.cos(angle);
+                im -= windowed[t] * Math.sin(angle);
+            }
+
+            let power = (re * re + im * im) * scale;
+            // One-sided spectrum: double everything but DC (and Nyquist for even lengths)
+            const isNyquist = nperseg % 2 === 0 && k === binCount - 1;
+            if (k > 0 && !isNyquist) power *= 2;
+
+            psd[k] += power / segmentCount;
+        }
+    }
+
+    const frequencies = psd.map((_, k) => k * fs / nperseg);
+    return { frequencies, psd };
+}
+
+/**
+ * Signal quality score (0-100): share of the 0.7-4 Hz pulse band power
+ * concentrated around its strongest frequency. Clean pulses score high,
+ * motion and lighting noise spread the power and score low.
+ */
+export function estimateSignalQuality(signal, sampleRate = DEFAULT_SAMPLE_RATE) {
+    if (!Array.isArray(signal) || signal.length < MIN_SAMPLES_FOR_PREDICTION) return 0;
+
+    const { frequencies, psd } = welch(prepareSignalForML(signal, sampleRate), sampleRate);
+    const band = frequencies
+        .map((f, k) => ({ f, power: psd[k], k }))
+        .filter(bin => bin.f >= 0.7 && bin.f <= 4.0);
+    const bandPower = band.reduce((sum, bin) => sum + bin.power, 0);
+    if (band.length === 0 || bandPower === 0) return 0;
+
+    const peak = band.reduce((best, bin) => bin.power > best.power ? bin : best);
+    const peakPower = band
+        .filter(bin => Math.abs(bin.k - peak.k) <= 1)
+        .reduce((sum, bin) => sum + bin.power, 0);
+
+    return Math.round(100 * peakPower / bandPower);
+}
+
+/**
+ * Pulse rate (BPM) from the strongest 0.7-4 Hz frequency of the prepared
+ * signal, refined by parabolic interpolation between spectrum bins.
+ */
+export function estimateHeartRate(signal, sampleRate = DEFAULT_SAMPLE_RATE) {
+    if (!Array.isArray(signal) || signal.length < MIN_SAMPLES_FOR_PREDICTION) return null;
+
+    const { frequencies, psd } = welch(prepareSignalForML(signal, sampleRate), sampleRate);
+    let peak = -1;
+    frequencies.forEach((f, k) => {
+        if (f >= 0.7 && f <= 4.0 && (peak === -1 || psd[k] > psd[peak])) peak = k;
+    });
+    if (peak <= 0 || peak >= psd.length - 1) return peak === -1 ? null : frequencies[peak] * 60;
+
+    const [left, center, right] = [psd[peak - 1], psd[peak], psd[peak + 1]];
+    const curvature = left - 2 * center + right;
+    const offset = curvature === 0 ? 0 : 0.5 * (left - right) / curvature;
+    return (frequencies[peak] + offset * (frequencies[1] - frequencies[0])) * 60;
+}
+
+/**
+ * Build the 11-element feature vector in FEATURE_NAMES order.
+ *
+ * @param {number[]} signal - raw rPPG samples (green channel average)
+ * @param {Object} [options]
+ * @param {number[]} [options.timestamps] - sample times in seconds
+ * @param {number} [options.sampleRate] - used when timestamps are omitted
+ * @returns {number[]}
+ */
+export function extractFeatures(signal, { timestamps = null, sampleRate = DEFAULT_SAMPLE_RATE } = {}) {
+    if (!Array.isArray(signal) || signal.length < 2) {
+        throw new Error('Not enough samples to extract features');
+    }
+
+    const values = signal.map(Number);
+    const times = timestamps ? timestamps.map(Number) : values.map((_, i) => i / sampleRate);
+    if (times.length !== values.length) {
+        throw new Error('Timestamps and signal must have the same length');
+    }
+
+    const timeSteps = times.slice(1).map((t, i) => t - times[i]);
+    const fs = 1 / mean(timeSteps);
+
+    const peaks = findPeaks(values);
+    const peakIntervals = peaks.length > 1
+        ? peaks.slice(1).map((p, i) => times[p] - times[peaks[i]])
+        : [0];
+
+    const { frequencies, psd } = welch(values, fs);
+    const peakPower = Math.max(...psd);
+
+    return [
+        mean(values),                        // mean_amplitude
+        std(values),                         // std_amplitude
+        rms(values),                         // rms_amplitude
+        peaks.length,                        // num_peaks
+        mean(peakIntervals),                 // mean_peak_interval
+        std(peakIntervals),                  // std_peak_interval
+        skewness(values),                    // skewness
+        kurtosis(values),                    // kurtosis
+        frequencies[psd.indexOf(peakPower)], // dominant_frequency
+        psd.reduce((a, b) => a + b, 0),      // total_power
+        peakPower                            // peak_power
+    ];
+}
+
+/**
+ * Everything a reading derives from its uniform trace. The features come
+ * from the raw trace, the way Features.py computed them for the training
+ * set; every server path that feeds the model goes through here.
+ *
+ * @returns {{features: number[], signalQuality: number, heartRate: ?number}}
+ */
+export function analyzeSignal(signal, sampleRate = DEFAULT_SAMPLE_RATE) {
+    return {
+        features: extractFeatures(signal, { sampleRate }),
+        signalQuality: estimateSignalQuality(signal, sampleRate),
+        heartRate: estimateHeartRate(signal, sampleRate)
+    };
+}
+
+export function featuresToObject(features) {
+    return Object.fromEntries(FEATURE_NAMES.map((name, i) => [name, features[i]]));
+}
+
+export default {
+    FEATURE_NAMES,
+    prepareSignalForML,
+    estimateSampleRate,
+    resampleUniform,
+    estimateSignalQuality,
+    estimateHeartRate,
+    extractFeatures,
+    analyzeSignal,
+    featuresToObject
+};
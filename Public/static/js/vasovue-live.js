@@ -0,0 +1,104 @@
+/**
+ * VasoVue Live Stream Module
+ * Streams rPPG samples to the server during a recording and receives
+ * rolling heart-rate, signal-quality and provisional BP estimates
+ */
+
+export class VasoVueLiveStream {
+    constructor({ path = '/api/stream', flushInterval = 250 } = {}) {
+        this.path = path;
+        this.flushInterval = flushInterval; // ms between sample batches
+        this.socket = null;
+        this.flushTimer = null;
+        this.pendingValues = [];
+        this.pendingTimestamps = [];
+
+        this.callbacks = {
+            onEstimate: null,
+            onStatusChange: null
+        };
+    }
+
+    connect(model = null) {
+        this.close();
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const query = model ? `?model=${encodeURIComponent(model)}` : '';
+        this.socket = new WebSocket(`${protocol}//${window.location.host}${this.path}${query}`);
+
+        this.socket.addEventListener('open', () => this.setStatus('connected'));
+        this.socket.addEventListener('close', () => this.setStatus('disconnected'));
+        this.socket.addEventListener('error', () => this.setStatus('error'));
+        this.socket.addEventListener('message', (event) => this.handleMessage(event));
+
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+        console.log('📡 Live estimation stream opened');
+    }
+
+    handleMessage(event) {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            console.warn('Invalid live stream message:', error);
+            return;
+        }
+
+        if (message.type === 'estimate' && this.callbacks.onEstimate) {
+            this.callbacks.onEstimate(message);
+        } else if (message.type === 'error') {
+            console.warn('Live stream error:', message.error);
+        }
+    }
+
+    pushSample(value, timestamp) {
+        if (!this.socket) return;
+        this.pendingValues.push(value);
+        this.pendingTimestamps.push(timestamp);
+    }
+
+    flush() {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || this.pendingValues.length === 0) {
+            return;
+        }
+
+        this.socket.send(JSON.stringify({
+            type: 'samples',
+            values: this.pendingValues,
+            timestamps: this.pendingTimestamps
+        }));
+        this.pendingValues = [];
+        this.pendingTimestamps = [];
+    }
+
+    close() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+            console.log('📡 Live estimation stream closed');
+        }
+        this.pendingValues = [];
+        this.pendingTimestamps = [];
+    }
+
+    setStatus(status) {
+        if (this.callbacks.onStatusChange) {
+            this.callbacks.onStatusChange(status);
+        }
+    }
+
+    // Callback setters
+    onEstimate(callback) {
+        this.callbacks.onEstimate = callback;
+    }
+
+    onStatusChange(callback) {
+        this.callbacks.onStatusChange = callback;
+    }
+}
+
+export default VasoVueLiveStream;
@@ -7,6 +7,10 @@ import VasoVueCore from './vasovue-core.js';
 import VasoVueUI from './vasovue-ui.js';
 import VasoVueMediaPipe from './vasovue-mediapipe.js';
 import VasoVueRPPG from './vasovue-rppg.js';
+import VasoVueLiveStream from './vasovue-live.js';
+import ConsentForm from './consent.js';
+import VideoRecorder from './recording.js';
+import { requestPrediction } from './prediction-jobs.js';
 
 class VasoVueApp {
     constructor() {
@@ -14,10 +18,19 @@ class VasoVueApp {
         this.ui = null;
         this.mediaPipe = null;
         this.rppg = null;
+        this.liveStream = null;
+        this.consent = null;
+        this.videoRecorder = null;
+        
+        // Links the reading to the face video recorded in the same session
+        this.sessionId = null;
         
         this.isInitialized = false;
         this.isRunning = false;
         
+        // Object URL of the video file being analyzed; null in a live session
+        this.fileUrl = null;
+        
         // Animation frame for smooth updates
         this.animationFrame = null;
         
@@ -57,6 +70,20 @@ class VasoVueApp {
             // Initialize rPPG processor
             this.rppg = new VasoVueRPPG();
             
+            // Live estimates streamed from the server while recording
+            this.liveStream = new VasoVueLiveStream();
+            
+            // Consent step in the recording modal; start stays disabled without signal consent
+            this.consent = new ConsentForm(document.getElementById('consentForm'), {
+                required: ['signal_storage'],
+                submit: this.ui.elements.modalStartBtn
+            });
+            await this.consent.load();
+            
+            // Face video, recorded with video storage consent; finish uploads cut off last time
+            this.videoRecorder = new VideoRecorder();
+            this.videoRecorder.resumePending().catch(error => console.error('Error resuming uploads:', error));
+            
             // Setup event connections
             this.setupEventConnections();
             
@@ -96,9 +123,9 @@ class VasoVueApp {
         });
         
         // MediaPipe callbacks
-        this.mediaPipe.onFaceDetected((face, roi) => {
+        this.mediaPipe.onFaceDetected((face, roi, frameTime) => {
             this.core.updateStatus('face', 'detected');
-            this.handleFaceDetection(face, roi);
+            this.handleFaceDetection(face, roi, frameTime);
         });
         
         this.mediaPipe.onFaceLost(() => {
@@ -109,14 +136,21 @@ class VasoVueApp {
         this.rppg.onSampleAdded((value, count) => {
             this.core.updateSampleCount(count);
             this.updateWaveform();
+            this.liveStream.pushSample(value, this.rppg.timestamps[this.rppg.timestamps.length - 1]);
         });
         
         this.rppg.onQualityUpdate((quality) => {
             this.ui.updateSignalQuality(quality);
         });
         
+        // Live stream callbacks
+        this.liveStream.onEstimate((estimate) => {
+            this.ui.updateLiveEstimate(estimate);
+        });
+        
         // UI event handlers
         this.ui.onStartRecording = () => this.startRecording();
+        this.ui.onAnalyzeFile = (file) => this.analyzeFile(file);
         this.ui.onStopRecording = () => this.stopRecording();
         this.ui.onExportData = () => this.exportData();
         this.ui.onShowReport = () => this.showReport();
@@ -132,6 +166,13 @@ class VasoVueApp {
         try {
             if (this.isRunning) return;
             
+            // Record the choices made in the modal; the server refuses readings without signal consent
+            await this.consent.save();
+            if (!this.consent.isGranted('signal_storage')) {
+                this.showError('Consent to store your pulse signal is required to take a reading');
+                return;
+            }
+            
             console.log('🎬 Starting VasoVue recording session...');
             
             // Start camera
@@ -154,8 +195,15 @@ class VasoVueApp {
             // Start MediaPipe tracking
             await this.mediaPipe.startTracking(videoElement, canvasElement);
             
-            // Start rPPG recording
+            this.sessionId = crypto.randomUUID();
+            if (this.consent.isGranted('video_storage')) {
+                await this.videoRecorder.start(stream, { sessionId: this.sessionId });
+            }
+            
+            // Start rPPG recording and stream it for live estimates
             this.rppg.startRecording();
+            this.ui.resetLiveEstimate();
+            this.liveStream.connect();
             
             // Start core recording
             this.core.startRecording();
@@ -176,6 +224,81 @@ class VasoVueApp {
         }
     }
 
+    /**
+     * Run a prerecorded video through the same tracking and extraction as a
+     * live session; sample times come from the video's timeline.
+     */
+    async analyzeFile(file) {
+        try {
+            if (this.isRunning) return;
+            
+            await this.consent.save();
+            if (!this.consent.isGranted('signal_storage')) {
+                this.showError('Consent to store your pulse signal is required to take a reading');
+                return;
+            }
+            
+            console.log(`🎞️ Analyzing video file ${file.name}...`);
+            
+            const videoElement = this.ui.elements.webcam;
+            const canvasElement = this.ui.elements.overlay;
+            
+            if (!videoElement || !canvasElement) {
+                throw new Error('Video or canvas element not found');
+            }
+            
+            this.fileUrl = URL.createObjectURL(file);
+            videoElement.srcObject = null;
+            videoElement.muted = true;
+            videoElement.src = this.fileUrl;
+            
+            await new Promise((resolve, reject) => {
+                videoElement.onloadedmetadata = resolve;
+                videoElement.onerror = () => reject(new Error('The file could not be played as a video'));
+            });
+            videoElement.onerror = null;
+            
+            await this.mediaPipe.startFileTracking(videoElement, canvasElement);
+            
+            // The file itself is not uploaded, so there is no recording to link
+            this.sessionId = crypto.randomUUID();
+            this.rppg.startRecording(videoElement.currentTime * 1000);
+            this.ui.resetLiveEstimate();
+            this.liveStream.connect();
+            
+            this.core.startRecording();
+            this.ui.setRecordingState(true);
+            this.startAnimationLoop();
+            
+            this.isRunning = true;
+            videoElement.onended = () => this.stopRecording();
+            await videoElement.play();
+            console.log('✅ Video file analysis started');
+            
+        } catch (error) {
+            console.error('❌ Failed to analyze video file:', error);
+            this.showError('Failed to analyze video file', error);
+            if (this.isRunning) {
+                this.stopRecording();
+            } else {
+                this.releaseFile();
+            }
+        }
+    }
+
+    // Detach the analyzed video file from the player
+    releaseFile() {
+        const videoElement = this.ui.elements.webcam;
+        if (videoElement) {
+            videoElement.pause();
+            videoElement.onended = null;
+            videoElement.removeAttribute('src');
+            videoElement.load();
+        }
+        URL.revokeObjectURL(this.fileUrl);
+        this.fileUrl = null;
+    }
+
     stopRecording() {
         if (!this.isRunning) return;
         
@@ -185,14 +308,22 @@ class VasoVueApp {
             // Stop core recording
             this.core.stopRecording();
             
-            // Stop rPPG recording
-            const recordingData = this.rppg.stopRecording();
+            // Stop rPPG recording; a video file ends where playback stopped
+            const recordingData = this.fileUrl
+                ? this.rppg.stopRecording(this.ui.elements.webcam.currentTime * 1000)
+                : this.rppg.stopRecording();
+            this.liveStream.close();
             
             // Stop MediaPipe tracking
             this.mediaPipe.stopTracking();
             
-            // Stop camera
-            this.core.stopCamera();
+            // Stop camera (the recorder uploads what it captured), or release the video file
+            if (this.fileUrl) {
+                this.releaseFile();
+            } else {
+                this.videoRecorder.stop();
+                this.core.stopCamera();
+            }
             
             // Stop animation loop
             this.stopAnimationLoop();
@@ -211,18 +342,29 @@ class VasoVueApp {
         }
     }
 
-    handleFaceDetection(face, roi) {
+    // frameTime is the frame's position in an analyzed video file (ms), null for the webcam
+    handleFaceDetection(face, roi, frameTime = null) {
         if (!this.isRunning || !roi) return;
         
         // Update frame counter
         this.core.updateFrame();
         
         // Extract green channel from ROI
-        const greenValue = this.rppg.extractGreenChannel(roi, this.ui.elements.webcam);
+        const videoElement = this.ui.elements.webcam;
+        const greenValue = this.rppg.extractGreenChannel(roi, videoElement);
         
         if (greenValue !== null) {
+            // ROI is in video pixels; the server and replay page expect fractions of the frame
+            const { videoWidth: width, videoHeight: height } = videoElement;
+            const normalizedRoi = width && height ? [
+                roi.x / width,
+                roi.y / height,
+                Math.min(roi.width / width, 1),
+                Math.min(roi.height / height, 1)
+            ] : null;
+            
             // Add sample to rPPG processor
-            this.rppg.addSample(greenValue, roi);
+            this.rppg.addSample(greenValue, normalizedRoi, frameTime ?? Date.now());
         }
     }
 
@@ -281,7 +423,7 @@ class VasoVueApp {
     }
 
     async changeCamera(deviceId) {
-        if (this.isRunning) {
+        if (this.isRunning && !this.fileUrl) {
             console.log('📷 Changing camera during recording...');
             
             // Stop current stream
@@ -328,22 +470,21 @@ class VasoVueApp {
                 const signalValues = sessionData.samples.map(s => s.greenValue || s.green || s);
                 console.log('Sending signal to prediction API:', signalValues.length, 'samples');
                 
-                const response = await fetch('/api/predict', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
+                try {
+                    // Queued on the server; poll the job instead of holding the request open.
+                    // Timestamps let the server resample dropped or uneven frames; ROIs and the
+                    // session id let the replay page line the trace up with the recorded video.
+                    const rois = sessionData.samples.map(s => s.roi);
+                    bpPrediction = await requestPrediction({
                         signal: signalValues,
-                        emotion: 'neutral'
-                    })
-                });
-                
-                if (response.ok) {
-                    bpPrediction = await response.json();
+                        timestamps: sessionData.samples.map(s => s.timestamp),
+                        rois: rois.every(Boolean) ? rois : undefined,
+                        emotion: 'neutral',
+                        sessionId: this.sessionId || undefined
+                    });
                     console.log('BP prediction received:', bpPrediction);
-                } else {
-                    console.error('BP prediction failed:', response.status);
+                } catch (error) {
+                    console.error('BP prediction failed:', error);
                 }
             } else {
                 console.warn('Insufficient samples for BP prediction:', sessionData.samples?.length || 0);
@@ -352,12 +493,16 @@ class VasoVueApp {
             // Prepare comprehensive report data
             const reportData = {
                 timestamp: new Date().toISOString(),
-                sessionDuration: sessionData.duration ? sessionData.duration / 1000 : (sessionData.samples.length / 30),
+                predictionId: bpPrediction ? bpPrediction.predictionId : null,
+                sessionDuration: sessionData.duration ? sessionData.duration / 1000 : (sessionData.samples.length / sessionData.sampleRate),
                 samples: sessionData.samples.map(s => s.greenValue || s.green || s),
                 bloodPressure: bpPrediction ? {
                     systolic: parseFloat(bpPrediction.systolic),
                     diastolic: parseFloat(bpPrediction.diastolic),
-                    category: bpPrediction.category
+                    category: bpPrediction.category,
+                    uncertainty: bpPrediction.uncertainty || null,
+                    raw: bpPrediction.raw || null,
+                    personalCalibration: bpPrediction.personalCalibration || null
                 } : {
                     systolic: 118.5,
                     diastolic: 78.2,
@@ -365,8 +510,7 @@ class VasoVueApp {
                 },
                 heartRate: this.estimateHeartRate(sessionData.samples),
                 signalQuality: this.analyzeSignalQuality(sessionData.samples),
-                analysis: this.generateAnalysis(bpPrediction),
-                historicalData: this.generateHistoricalData()
+                analysis: this.generateAnalysis(bpPrediction)
             };
             
             // Store report data for the report page
@@ -416,6 +560,7 @@ class VasoVueApp {
     // Session management
     newSession() {
         this.rppg.clear();
+        this.sessionId = null;
         this.ui.updateProgress(0, this.core.targetSamples);
         this.ui.updateWaveform('M0,40 L320,40');
         console.log('🆕 New session started');
@@ -437,7 +582,9 @@ class VasoVueApp {
             }
         }
         
-        const duration = samples.length / 30; // 30 FPS
+        const duration = samples.length > 1 && samples[0].timestamp
+            ? (samples[samples.length - 1].timestamp - samples[0].timestamp) / 1000
+            : samples.length / 30; // Nominal 30 FPS
         const heartRate = (peaks / duration) * 60;
         
         // Clamp to reasonable range and add realistic variance
@@ -528,22 +675,6 @@ class VasoVueApp {
         return analysis;
     }
 
-    generateHistoricalData() {
-        // Generate mock historical data for demonstration
-        const data = [];
-        for (let i = 30; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            data.push({
-                date: date.toISOString().split('T')[0],
-                systolic: 115 + Math.random() * 20,
-                diastolic: 75 + Math.random() * 15,
-                heartRate: 65 + Math.random() * 20
-            });
-        }
-        return data;
-    }
-
     // Error handling
     showError(message, error = null) {
         console.error('💥 VasoVue Error:', message, error);
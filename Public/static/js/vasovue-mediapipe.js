@@ -12,6 +12,9 @@ export class VasoVueMediaPipe {
         this.ctx = null;
         this.currentFace = null;
         this.isProcessing = false;
+        this.isTracking = false;
+        // Position (ms) on a video file's timeline of the frame being processed; null for live video
+        this.frameTime = null;
         
         // Face mesh landmark indices for forehead region
         this.foreheadIndices = [
@@ -60,7 +63,7 @@ export class VasoVueMediaPipe {
         }
     }
 
-    async startTracking(videoElement, canvasElement) {
+    async attach(videoElement, canvasElement) {
         if (!this.isInitialized) {
             await this.initialize();
         }
@@ -73,12 +76,69 @@ export class VasoVueMediaPipe {
         this.canvasElement.width = this.videoElement.videoWidth;
         this.canvasElement.height = this.videoElement.videoHeight;
         
+        this.frameTime = null;
+        this.isTracking = true;
+    }
+
+    async startTracking(videoElement, canvasElement) {
+        await this.attach(videoElement, canvasElement);
+        
         console.log('🎯 Started face tracking');
         this.processFrame();
     }
 
+    /**
+     * Track a video file as it plays. Playback pauses while each frame is
+     * processed so no frame is skipped, and frameTime follows the video's
+     * own timeline rather than the clock.
+     */
+    async startFileTracking(videoElement, canvasElement) {
+        await this.attach(videoElement, canvasElement);
+        
+        console.log('🎯 Started face tracking (video file)');
+        this.processFileFrames(videoElement);
+    }
+
+    processFileFrames(video) {
+        const nextFrame = () => {
+            if (video.requestVideoFrameCallback) {
+                video.requestVideoFrameCallback((now, metadata) => onFrame(metadata.mediaTime));
+            } else {
+                // Without frame callbacks, sample the playback position once per repaint
+                requestAnimationFrame(() => onFrame(video.currentTime));
+            }
+        };
+        
+        const onFrame = async (mediaTime) => {
+            if (!this.isTracking || this.videoElement !== video) return;
+            
+            const frameTime = mediaTime * 1000;
+            // Same frame seen twice (e.g. a repaint without a new frame)
+            if (this.frameTime !== null && frameTime <= this.frameTime) {
+                nextFrame();
+                return;
+            }
+            
+            video.pause();
+            this.frameTime = frameTime;
+            try {
+                await this.faceMesh.send({ image: video });
+            } catch (error) {
+                console.warn('Frame processing error:', error);
+            }
+            
+            if (!this.isTracking || this.videoElement !== video || video.ended) return;
+            nextFrame();
+            video.play().catch(error => console.warn('Video playback error:', error));
+        };
+        
+        nextFrame();
+    }
+
     stopTracking() {
+        this.isTracking = false;
         this.isProcessing = false;
+        this.frameTime = null;
         this.currentFace = null;
         if (this.ctx) {
             this.ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
@@ -87,7 +147,7 @@ export class VasoVueMediaPipe {
     }
 
     async processFrame() {
-        if (!this.videoElement || !this.isInitialized || this.isProcessing) return;
+        if (!this.isTracking || !this.videoElement || !this.isInitialized || this.isProcessing) return;
         
         this.isProcessing = true;
         
@@ -127,7 +187,7 @@ export class VasoVueMediaPipe {
             
             // Trigger callbacks
             if (this.callbacks.onFaceDetected) {
-                this.callbacks.onFaceDetected(face, foreheadROI);
+                this.callbacks.onFaceDetected(face, foreheadROI, this.frameTime);
             }
             
             if (this.callbacks.onROIUpdate) {
@@ -69,8 +69,7 @@ class VasoVueReport {
                     'Maintain balanced diet'
                 ],
                 healthScore: 85
-            },
-            historicalData: this.generateHistoricalData()
+            }
         };
     }
 
@@ -86,18 +85,25 @@ class VasoVueReport {
         return signal;
     }
 
-    generateHistoricalData() {
-        const data = [];
-        for (let i = 30; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            data.push({
-                date: date.toISOString().split('T')[0],
-                systolic: 115 + Math.random() * 20,
-                diastolic: 75 + Math.random() * 15,
-                heartRate: 65 + Math.random() * 20
-            });
+    // Daily averages of the signed-in user's stored readings (GET /api/history)
+    async loadHistoricalData(days = 30) {
+        const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const params = new URLSearchParams({
+            from: from.toISOString(),
+            bucket: 'day',
+            aggregation: 'mean',
+            tz: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+
+        const response = await fetch(`/api/history?${params}`);
+        if (response.status === 401) {
+            throw new Error('Sign in to see your reading history.');
         }
+        if (!response.ok) {
+            throw new Error('Reading history is not available right now.');
+        }
+
+        const { data } = await response.json();
         return data;
     }
 
@@ -105,14 +111,53 @@ class VasoVueReport {
         this.updateBasicMetrics();
         this.updateAnalysis();
         this.updateTimestamp();
+        this.updateCalibrationNote();
+        this.linkCalibrationForm();
+    }
+
+    // Say whether the BP shown is the model's own estimate or corrected with the user's cuff readings
+    updateCalibrationNote() {
+        const note = document.getElementById('bp-calibration-note');
+        if (!note) return;
+
+        const { raw, personalCalibration } = this.reportData.bloodPressure;
+        if (!personalCalibration) {
+            note.textContent = 'Showing the uncalibrated model estimate. Add a cuff reading below to calibrate your future readings.';
+            return;
+        }
+
+        const method = personalCalibration.method === 'offset+slope' ? 'offset and slope' : 'offset';
+        const pairs = `${personalCalibration.pairs} cuff reading${personalCalibration.pairs === 1 ? '' : 's'}`;
+        const calibratedAt = new Date(personalCalibration.calibratedAt).toLocaleDateString();
+        note.textContent = `Showing values calibrated to your cuff (${method} from ${pairs}, last calibrated ${calibratedAt}).` +
+            (raw ? ` Uncalibrated estimate: ${Math.round(raw.systolic)}/${Math.round(raw.diastolic)} mmHg.` : '');
+    }
+
+    // Cuff readings entered on this page pair with the reading it shows
+    linkCalibrationForm() {
+        const form = document.getElementById('calibration-form');
+        if (form && this.reportData.predictionId) {
+            form.dataset.predictionId = this.reportData.predictionId;
+        }
+    }
+
+    formatBloodPressure(value, margin) {
+        return margin ? `${Math.round(value)} ± ${Math.round(margin)}` : `${Math.round(value)}`;
+    }
+
+    formatCoverage(uncertainty) {
+        return uncertainty ? `(${Math.round(uncertainty.level * 100)}% range)` : '';
     }
 
     updateBasicMetrics() {
         const { bloodPressure, heartRate, signalQuality, analysis } = this.reportData;
 
-        // Update BP values with 1 decimal place
-        document.getElementById('systolic-value').textContent = bloodPressure.systolic.toFixed(1);
-        document.getElementById('diastolic-value').textContent = bloodPressure.diastolic.toFixed(1);
+        // BP to whole mmHg with its ± range; decimals would overstate the model's precision
+        const { uncertainty } = bloodPressure;
+        document.getElementById('systolic-value').textContent = this.formatBloodPressure(bloodPressure.systolic, uncertainty?.systolicMargin);
+        document.getElementById('diastolic-value').textContent = this.formatBloodPressure(bloodPressure.diastolic, uncertainty?.diastolicMargin);
+        document.getElementById('systolic-range').textContent = this.formatCoverage(uncertainty);
+        document.getElementById('diastolic-range').textContent = this.formatCoverage(uncertainty);
         document.getElementById('heart-rate-value').textContent = heartRate.toFixed(1);
         document.getElementById('health-score').textContent = analysis.healthScore;
 
@@ -372,10 +417,30 @@ class VasoVueReport {
         });
     }
 
-    setupTrendChart() {
+    showTrendEmptyState(message) {
+        const emptyState = document.getElementById('trend-empty');
+        if (message) {
+            document.getElementById('trend-empty-text').textContent = message;
+        }
+        emptyState.style.display = 'flex';
+    }
+
+    async setupTrendChart() {
+        let historical;
+        try {
+            historical = await this.loadHistoricalData();
+        } catch (error) {
+            console.warn('Could not load reading history:', error);
+            this.showTrendEmptyState(error.message);
+            return;
+        }
+
+        if (historical.length === 0) {
+            this.showTrendEmptyState();
+            return;
+        }
+
         const ctx = document.getElementById('trend-chart').getContext('2d');
-        const historical = this.reportData.historicalData;
-        
         this.charts.trend = new Chart(ctx, {
             type: 'line',
             data: {
@@ -3,12 +3,15 @@
  * Handles green channel extraction and signal processing
  */
 
+import { estimateSampleRate } from './rppg-features.js';
+
 export class VasoVueRPPG {
     constructor() {
         this.samples = [];
         this.timestamps = [];
+        this.rois = []; // Forehead box per sample as [x, y, w, h], fractions of the frame
         this.maxSamples = 1000; // Keep larger buffer for processing
-        this.sampleRate = 30; // Assumed 30 FPS
+        this.sampleRate = 30; // Nominal FPS, used until timestamps give a measured rate
         this.isRecording = false;
         this.startTime = null;
         
@@ -26,27 +29,37 @@ export class VasoVueRPPG {
         };
     }
 
-    startRecording() {
+    // Times are wall-clock ms for live sessions; a video file passes positions on its own timeline
+    startRecording(startTime = Date.now()) {
         this.samples = [];
         this.timestamps = [];
+        this.rois = [];
         this.previousValues = [];
         this.isRecording = true;
-        this.startTime = Date.now();
+        this.startTime = startTime;
         console.log('🔴 Started rPPG recording');
     }
 
-    stopRecording() {
+    stopRecording(endTime = Date.now()) {
         this.isRecording = false;
         console.log('⏹️ Stopped rPPG recording');
         return {
             samples: [...this.samples],
             timestamps: [...this.timestamps],
-            duration: this.startTime ? Date.now() - this.startTime : 0,
-            sampleRate: this.sampleRate,
+            duration: this.startTime !== null ? endTime - this.startTime : 0,
+            sampleRate: this.getEffectiveSampleRate(),
             quality: this.signalQuality
         };
     }
 
+    // Measured capture rate (Hz) from the sample timestamps
+    getEffectiveSampleRate() {
+        if (this.timestamps.length < 2) return this.sampleRate;
+
+        const rate = estimateSampleRate(this.timestamps.map(t => t / 1000));
+        return Number.isFinite(rate) ? rate : this.sampleRate;
+    }
+
     extractGreenChannel(roi, videoElement) {
         if (!roi || !videoElement) return null;
         
@@ -92,13 +105,12 @@ export class VasoVueRPPG {
         }
     }
 
-    addSample(greenValue, roi = null) {
+    // roi is the sample's forehead box normalized to the frame, kept for the replay overlay
+    addSample(greenValue, roi = null, timestamp = Date.now()) {
         if (!this.isRecording || greenValue === null || isNaN(greenValue)) {
             return false;
         }
         
-        const timestamp = Date.now();
-        
         // Apply moving average smoothing
         this.previousValues.push(greenValue);
         if (this.previousValues.length > this.windowSize) {
@@ -122,11 +134,13 @@ export class VasoVueRPPG {
         // Add to buffers
         this.samples.push(smoothedValue);
         this.timestamps.push(timestamp);
+        this.rois.push(roi);
         
         // Maintain buffer size
         if (this.samples.length > this.maxSamples) {
             this.samples.shift();
             this.timestamps.shift();
+            this.rois.shift();
         }
         
         // Update signal quality
@@ -217,15 +231,18 @@ export class VasoVueRPPG {
     exportData() {
         const data = {
             timestamp: new Date().toISOString(),
-            duration: this.startTime ? Date.now() - this.startTime : 0,
-            sampleRate: this.sampleRate,
+            duration: this.startTime !== null && this.timestamps.length > 0
+                ? this.timestamps[this.timestamps.length - 1] - this.startTime
+                : 0,
+            sampleRate: this.getEffectiveSampleRate(),
             sampleCount: this.samples.length,
             signalQuality: this.signalQuality,
             samples: this.samples.map((value, index) => ({
                 index,
                 timestamp: this.timestamps[index],
                 greenValue: value,
-                relativeTime: this.timestamps[index] - (this.startTime || this.timestamps[0])
+                roi: this.rois[index] ?? null,
+                relativeTime: this.timestamps[index] - (this.startTime ?? this.timestamps[0])
             })),
             metadata: {
                 device: navigator.userAgent,
@@ -255,6 +272,7 @@ export class VasoVueRPPG {
     clear() {
         this.samples = [];
         this.timestamps = [];
+        this.rois = [];
         this.previousValues = [];
         this.signalQuality = 0;
         this.noiseLevel = 0;
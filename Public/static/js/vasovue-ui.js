@@ -14,6 +14,9 @@ export class VasoVueUI {
         this.targetSamples = 300;
         this.isSettingsOpen = false;
         
+        // Video file picked for analysis, started from the recording modal
+        this.pendingFile = null;
+        
         // Modal states
         this.modals = {
             recording: false,
@@ -49,10 +52,11 @@ export class VasoVueUI {
     cacheElements() {
         const elementIds = [
             'webcam', 'overlay', 'waveform', 'waveformPath',
-            'startBtn', 'stopBtn', 'exportBtn', 'showReportBtn',
+            'startBtn', 'analyzeFileBtn', 'videoFileInput', 'stopBtn', 'exportBtn', 'showReportBtn',
             'recordingIndicator', 'sampleCounter', 'sampleCount', 'sampleTarget',
             'progressBar', 'progressText', 'progressPercentage',
             'cameraStatus', 'faceStatus', 'fpsCounter', 'signalQuality',
+            'liveHeartRate', 'liveBloodPressure', 'liveSignalQuality', 'liveProvisional',
             'settingsBtn', 'settingsPanel', 'closeSettings',
             'cameraSelect', 'sampleTargetInput', 'audioFeedback', 'showOverlays', 'showVessels',
             'recordingModal', 'modalStartBtn', 'modalCancelBtn',
@@ -76,6 +80,18 @@ export class VasoVueUI {
             });
         }
 
+        if (this.elements.analyzeFileBtn && this.elements.videoFileInput) {
+            this.elements.analyzeFileBtn.addEventListener('click', () => {
+                this.elements.videoFileInput.click();
+            });
+            this.elements.videoFileInput.addEventListener('change', () => {
+                const file = this.elements.videoFileInput.files[0];
+                // Clear the input so picking the same file again still fires change
+                this.elements.videoFileInput.value = '';
+                if (file) this.showRecordingModal(file);
+            });
+        }
+
         if (this.elements.stopBtn) {
             this.elements.stopBtn.addEventListener('click', () => {
                 this.onStopRecording();
@@ -110,8 +126,13 @@ export class VasoVueUI {
         // Recording modal
         if (this.elements.modalStartBtn) {
             this.elements.modalStartBtn.addEventListener('click', () => {
+                const file = this.pendingFile;
                 this.hideRecordingModal();
-                this.onStartRecording();
+                if (file) {
+                    this.onAnalyzeFile(file);
+                } else {
+                    this.onStartRecording();
+                }
             });
         }
 
@@ -198,7 +219,9 @@ export class VasoVueUI {
     }
 
     // Modal management
-    showRecordingModal() {
+    // With a file the modal starts an analysis of it instead of a webcam recording
+    showRecordingModal(file = null) {
+        this.pendingFile = file;
         this.modals.recording = true;
         if (this.elements.recordingModal) {
             this.elements.recordingModal.classList.remove('hidden');
@@ -206,6 +229,7 @@ export class VasoVueUI {
     }
 
     hideRecordingModal() {
+        this.pendingFile = null;
         this.modals.recording = false;
         if (this.elements.recordingModal) {
             this.elements.recordingModal.classList.add('hidden');
@@ -351,6 +375,45 @@ export class VasoVueUI {
         }
     }
 
+    // Live estimates (see vasovue-live.js)
+    updateLiveEstimate(estimate) {
+        if (this.elements.liveHeartRate) {
+            this.elements.liveHeartRate.textContent = estimate.heartRate ? `${Math.round(estimate.heartRate)} BPM` : '--';
+        }
+
+        if (this.elements.liveBloodPressure) {
+            const bp = estimate.bloodPressure;
+            this.elements.liveBloodPressure.textContent = bp
+                ? `${Math.round(bp.systolic)}/${Math.round(bp.diastolic)} mmHg`
+                : '--';
+        }
+
+        if (this.elements.liveSignalQuality) {
+            this.elements.liveSignalQuality.textContent = `${Math.round(estimate.signalQuality)}%`;
+        }
+
+        if (this.elements.liveProvisional) {
+            if (estimate.provisional) {
+                const seconds = Math.floor(estimate.coverageSeconds);
+                this.elements.liveProvisional.textContent = `Provisional (${seconds}/${estimate.windowSeconds}s)`;
+                this.elements.liveProvisional.className = 'text-yellow-400 text-xs font-semibold';
+            } else {
+                this.elements.liveProvisional.textContent = 'Live';
+                this.elements.liveProvisional.className = 'text-green-400 text-xs font-semibold';
+            }
+        }
+    }
+
+    resetLiveEstimate() {
+        if (this.elements.liveHeartRate) this.elements.liveHeartRate.textContent = '--';
+        if (this.elements.liveBloodPressure) this.elements.liveBloodPressure.textContent = '--';
+        if (this.elements.liveSignalQuality) this.elements.liveSignalQuality.textContent = '--';
+        if (this.elements.liveProvisional) {
+            this.elements.liveProvisional.textContent = 'Provisional';
+            this.elements.liveProvisional.className = 'text-yellow-400 text-xs font-semibold';
+        }
+    }
+
     // Recording state management
     setRecordingState(isRecording) {
         if (isRecording) {
@@ -358,12 +421,14 @@ export class VasoVueUI {
             this.showElement(this.elements.recordingIndicator);
             this.showElement(this.elements.sampleCounter);
             this.hideElement(this.elements.startBtn);
+            this.hideElement(this.elements.analyzeFileBtn);
             this.hideElement(this.elements.exportBtn);
             this.hideElement(this.elements.showReportBtn);
         } else {
             this.hideElement(this.elements.stopBtn);
             this.hideElement(this.elements.recordingIndicator);
             this.showElement(this.elements.startBtn);
+            this.showElement(this.elements.analyzeFileBtn);
             this.showElement(this.elements.exportBtn);
         }
     }
@@ -468,6 +533,10 @@ export class VasoVueUI {
         console.log('UI: Start recording requested');
     }
 
+    onAnalyzeFile(file) {
+        console.log('UI: Video file analysis requested', file.name);
+    }
+
     onStopRecording() {
         console.log('UI: Stop recording requested');
     }
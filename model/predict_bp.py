@@ -5,7 +5,8 @@ import joblib
 import numpy as np
 
 def load_bp_model():
-    model_path = r'/Users/ayushmishra/Desktop/Bp_prediction_recommendation_system/model/python_src/models/bp_predictor.pkl'
+    default_path = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'python_src', 'models', 'bp_predictor.pkl')
+    model_path = os.environ.get('BP_MODEL_PKL', default_path)
     if not os.path.exists(model_path):
         raise FileNotFoundError(f"Model file not found at {model_path}")
     return joblib.load(model_path)
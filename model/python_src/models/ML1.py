@@ -5,17 +5,23 @@ from sklearn.metrics import mean_absolute_error
 from sklearn.preprocessing import StandardScaler
 from sklearn.pipeline import Pipeline
 import joblib
+import os
+import sys
+from export_model import FEATURE_NAMES
+
+TARGET_NAMES = ['systolic_BP', 'diastolic_BP']
 
 def load_data(csv_path):
     """Load and prepare training data"""
     df = pd.read_csv(csv_path)
     
-    # Verify we have 102 features + 2 targets
-    if df.shape[1] != 104:
-        raise ValueError(f"Expected 104 columns (102 features + 2 targets), got {df.shape[1]}")
+    # Features in the order Features.py / rppg-features.js produce them, then the 2 targets
+    missing = [c for c in FEATURE_NAMES + TARGET_NAMES if c not in df.columns]
+    if missing:
+        raise ValueError(f"Training data is missing columns: {missing}")
     
-    X = df.iloc[:, :-2]  # First 102 columns are features
-    y = df.iloc[:, -2:]  # Last 2 columns are systolic and diastolic BP
+    X = df[FEATURE_NAMES]
+    y = df[TARGET_NAMES]
     
     return X, y
 
@@ -37,11 +43,11 @@ def train_model(X, y):
         ))
     ])
     
-    # Train
-    pipeline.fit(X_train, y_train)
+    # Train (plain arrays, so the exported model takes the feature vector as-is)
+    pipeline.fit(X_train.values, y_train.values)
     
     # Evaluate
-    y_pred = pipeline.predict(X_test)
+    y_pred = pipeline.predict(X_test.values)
     mae_systolic = mean_absolute_error(y_test.iloc[:, 0], y_pred[:, 0])
     mae_diastolic = mean_absolute_error(y_test.iloc[:, 1], y_pred[:, 1])
     
@@ -51,20 +57,26 @@ def train_model(X, y):
     return pipeline
 
 def main():
+    # Usage: python ML1.py [training_data.csv] [bp_predictor.pkl]
+    # Defaults train on the bundled synthetic_bp_dataset.csv; export with export_model.py
+    here = os.path.dirname(os.path.abspath(__file__))
+    data_path = sys.argv[1] if len(sys.argv) > 1 else os.path.join(here, 'synthetic_bp_dataset.csv')
+    pkl_path = sys.argv[2] if len(sys.argv) > 2 else os.path.join(here, 'bp_predictor.pkl')
+
     try:
         # Load data
-        data_path = 'path/to/your/training_data.csv'  # Update this path
         X, y = load_data(data_path)
         
         # Train model
         model = train_model(X, y)
         
         # Save model
-        joblib.dump(model, 'bp_predictor.pkl')
+        joblib.dump(model, pkl_path)
         print("✅ Model trained and saved successfully")
         
     except Exception as e:
         print(f"❌ Error: {e}")
+        sys.exit(1)
 
 if __name__ == "__main__":
     main()
\ No newline at end of file
@@ -0,0 +1,109 @@
+import sys
+import os
+import json
+import shutil
+from datetime import datetime, timezone
+import joblib
+import numpy as np
+import pandas as pd
+from sklearn.model_selection import train_test_split
+from sklearn.metrics import mean_absolute_error
+
+FEATURE_NAMES = [
+    'mean_amplitude', 'std_amplitude', 'rms_amplitude', 'num_peaks',
+    'mean_peak_interval', 'std_peak_interval', 'skewness', 'kurtosis',
+    'dominant_frequency', 'total_power', 'peak_power'
+]
+
+def export_tree(estimator):
+    """Serialize one fitted sklearn regression tree into plain arrays"""
+    tree = estimator.tree_
+    return {
+        'children_left': tree.children_left.tolist(),
+        'children_right': tree.children_right.tolist(),
+        'feature': tree.feature.tolist(),
+        'threshold': tree.threshold.tolist(),
+        # (n_nodes, n_outputs, 1) -> (n_nodes, n_outputs)
+        'value': tree.value[:, :, 0].tolist()
+    }
+
+def export_pipeline(pipeline):
+    """Convert the StandardScaler + RandomForestRegressor pipeline from ML1.py to JSON"""
+    scaler = pipeline.named_steps.get('scaler')
+    forest = pipeline.named_steps['model']
+
+    return {
+        'format': 'tree-ensemble',
+        'feature_names': FEATURE_NAMES,
+        'target_names': ['systolic_BP', 'diastolic_BP'],
+        'scaler': {
+            'mean': scaler.mean_.tolist(),
+            'scale': scaler.scale_.tolist()
+        } if scaler is not None else None,
+        'trees': [export_tree(estimator) for estimator in forest.estimators_]
+    }
+
+def holdout_predictions(pipeline, csv_path):
+    """Targets and predictions on the same 20% hold-out split ML1.py evaluates on"""
+    df = pd.read_csv(csv_path)
+    X = df[FEATURE_NAMES]
+    y = df[['systolic_BP', 'diastolic_BP']]
+    _, X_test, _, y_test = train_test_split(X, y, test_size=0.2, random_state=42)
+
+    return y_test.values, pipeline.predict(X_test.values)
+
+def validation_mae(y_true, y_pred):
+    return {
+        'systolic': float(mean_absolute_error(y_true[:, 0], y_pred[:, 0])),
+        'diastolic': float(mean_absolute_error(y_true[:, 1], y_pred[:, 1]))
+    }
+
+def conformal_calibration(y_true, y_pred, level=0.9):
+    """Split-conformal interval margins, same layout as src/services/uncertainty.js"""
+    residuals = y_true - y_pred
+    n = len(residuals)
+    rank = min(n, int(np.ceil((n + 1) * level)))
+    margins = np.sort(np.abs(residuals), axis=0)[rank - 1]
+    residual_std = np.sqrt(np.mean(residuals ** 2, axis=0))
+
+    return {
+        'method': 'conformal',
+        'level': level,
+        'n': n,
+        'margin': {'systolic': float(margins[0]), 'diastolic': float(margins[1])},
+        'residualStd': {'systolic': float(residual_std[0]), 'diastolic': float(residual_std[1])}
+    }
+
+if __name__ == "__main__":
+    # Usage: python export_model.py <version> [bp_predictor.pkl]
+    if len(sys.argv) < 2:
+        raise ValueError("Usage: python export_model.py <version> [pkl_path]")
+
+    here = os.path.dirname(os.path.abspath(__file__))
+    version = sys.argv[1]
+    pkl_path = sys.argv[2] if len(sys.argv) > 2 else os.path.join(here, 'bp_predictor.pkl')
+    version_dir = os.path.join(here, '..', '..', 'registry', version)
+    os.makedirs(version_dir, exist_ok=True)
+
+    pipeline = joblib.load(pkl_path)
+    model = export_pipeline(pipeline)
+    with open(os.path.join(version_dir, 'model.json'), 'w') as f:
+        json.dump(model, f)
+    # The pickle itself serves the Python backend (BP_BACKEND=python); it is not committed
+    shutil.copyfile(pkl_path, os.path.join(version_dir, 'model.pkl'))
+
+    y_true, y_pred = holdout_predictions(pipeline, os.path.join(here, 'synthetic_bp_dataset.csv'))
+    metadata = {
+        'version': version,
+        'artifacts': {'node': 'model.json', 'python': 'model.pkl'},
+        'trainedAt': datetime.fromtimestamp(os.path.getmtime(pkl_path), timezone.utc).isoformat(),
+        'featureNames': FEATURE_NAMES,
+        'targetNames': model['target_names'],
+        'validationMae': validation_mae(y_true, y_pred),
+        'calibration': conformal_calibration(y_true, y_pred),
+        'description': f"RandomForest exported from {os.path.basename(pkl_path)}"
+    }
+    with open(os.path.join(version_dir, 'metadata.json'), 'w') as f:
+        json.dump(metadata, f, indent=2)
+
+    print(f"✅ Exported {len(model['trees'])} trees to {version_dir}")
@@ -0,0 +1,56 @@
+/**
+ * Re-encrypt stored signals and recording files under the active master key
+ * (the first entry of ENCRYPTION_KEYS), each with a fresh data key. Data that
+ * is still plaintext gets encrypted too, and recordings in the older
+ * single-tag file format are rewritten in the seekable chunked one. Keep
+ * the old key listed in ENCRYPTION_KEYS until this has finished, then it
+ * can be dropped.
+ *
+ *   ENCRYPTION_KEYS="k2:<new>,k1:<old>" npm run rotate-keys
+ *
+ * Stop the server first when using the file storage backend.
+ */
+import config from '../src/config.js';
+import { createEncryption } from '../src/services/encryption.js';
+import { createStorage } from '../src/storage/index.js';
+
+const encryption = createEncryption(config.encryption);
+if (!encryption.enabled) {
+  console.error('❌ Set ENCRYPTION_KEYS to the key(s) to rotate to');
+  process.exit(1);
+}
+
+const storage = createStorage(config.storage);
+await storage.connect();
+console.log(`✅ Connected to ${storage.backend} storage (${storage.location}), rotating to key "${encryption.activeKeyId}"`);
+
+let signals = 0;
+for (const prediction of await storage.predictions.findWithSignal()) {
+  const payload = prediction.signalEnvelope
+    ? encryption.openJson(prediction.signalEnvelope)
+    : { signal: prediction.signal, timestamps: prediction.timestamps, rois: prediction.rois };
+  await storage.predictions.setSignalEnvelope(prediction._id, encryption.sealJson(payload));
+  signals++;
+}
+
+let files = 0;
+let missing = 0;
+// Everything recorded up to now
+for (const recording of await storage.recordings.findOlderThan(new Date())) {
+  try {
+    await encryption.reencryptFile(recording.path);
+    files++;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.warn(`⚠️ Recording file missing: ${recording.path}`);
+    missing++;
+  }
+}
+
+await storage.audit.create({
+  actor: 'system',
+  action: 'encryption.rotate',
+  details: { keyId: encryption.activeKeyId, signals, files, missing }
+});
+await storage.close();
+console.log(`✅ Re-encrypted ${signals} signal(s) and ${files} recording file(s)`);
@@ -0,0 +1,41 @@
+/**
+ * Grant or revoke admin access (/api/admin/*). The account must exist:
+ * the person registers first, then an operator with access to the storage
+ * runs
+ *
+ *   npm run set-role -- <email> admin
+ *   npm run set-role -- <email> user
+ *
+ * The change applies to the account's next request. Stop the server first
+ * when using the file storage backend.
+ */
+import config from '../src/config.js';
+import { createStorage } from '../src/storage/index.js';
+import { USER_ROLES } from '../src/storage/records.js';
+
+const [email, role] = process.argv.slice(2);
+if (!email || !USER_ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <email> <${USER_ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const storage = createStorage(config.storage);
+await storage.connect();
+
+const user = await storage.users.findByEmail(email);
+if (!user) {
+  console.error(`❌ No account with email ${email}`);
+  await storage.close();
+  process.exit(1);
+}
+
+await storage.users.setRole(user._id, role);
+await storage.audit.create({
+  actor: 'system',
+  action: 'account.role',
+  resourceId: String(user._id),
+  subject: String(user._id),
+  details: { from: user.role ?? 'user', to: role }
+});
+await storage.close();
+console.log(`✅ ${user.email} now has the ${role} role`);
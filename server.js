@@ -1,25 +1,50 @@
 // server.js
 import express from 'express';
 import path from 'path';
-import { spawnSync } from 'child_process';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import mongoose from 'mongoose';
 import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
 import multer from 'multer';
-import { v4 as uuidv4 } from 'uuid';
+import { validate as isUuid } from 'uuid';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import morgan from 'morgan';
+import cookieParser from 'cookie-parser';
+import AdmZip from 'adm-zip';
+import {
+  estimateSampleRate,
+  resampleUniform,
+  DEFAULT_SAMPLE_RATE,
+  MIN_SAMPLE_RATE,
+  MAX_SAMPLE_RATE,
+  MIN_SAMPLES_FOR_PREDICTION
+} from './Public/static/js/rppg-features.js';
+import { describeUncertainty } from './src/services/uncertainty.js';
+import { parseSessionFile, expandUploads, BatchLimitError } from './src/services/session-import.js';
+import { attachLiveStream } from './src/services/live-stream.js';
+import { createAuth } from './src/services/auth.js';
+import { HISTORY_BUCKETS, HISTORY_AGGREGATIONS, bucketReadings, isValidTimeZone } from './src/services/history.js';
+import { removeRecordingFiles, startRetention } from './src/services/retention.js';
+import { createEncryption } from './src/services/encryption.js';
+import { createRecordingUpload, UploadError } from './src/services/recording-upload.js';
+import { createChunkedUploads } from './src/services/chunked-upload.js';
+import { CONSENT_SCOPES, consentStatus, currentConsentText } from './src/services/consent.js';
+import { DATASET_COLUMNS, FEATURE_SOURCES, validateCuffReading, nearestReading, toDatasetRows, fitCalibration, applyCalibration } from './src/services/calibration.js';
+import { FHIR_CONTENT_TYPE, predictionToObservation, toBundle, operationOutcome, parseDateSearch, parsePagingParam } from './src/services/fhir.js';
+import { createStorage } from './src/storage/index.js';
+import config from './src/config.js';
+import { ModelRegistry } from './src/services/model-registry.js';
+import { JobQueue, sweepTempDir } from './src/services/job-queue.js';
+import { FeaturePool } from './src/services/feature-pool.js';
 
 dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const PORT = 8080;
+const PORT = process.env.PORT ?? 8080;
 
 app.use(express.json({ limit: '10mb' }));
 
@@ -55,102 +80,44 @@ const apiLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later'
 });
 
-// MongoDB connection with enhanced configuration
-mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/facepulse_bp', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-  dbName: 'facepulse_bp',
-  retryWrites: true,
-  w: 'majority'
-})
-.then(() => console.log('✅ Connected to MongoDB successfully'))
-.catch(err => {
-  console.error('❌ MongoDB connection error:', err);
+// Predictions, recordings and accounts live in MongoDB or the embedded file store
+// Signals and recordings are encrypted at rest when master keys are configured
+const encryption = createEncryption(config.encryption);
+const storage = createStorage(config.storage, encryption);
+try {
+  await storage.connect();
+  console.log(`✅ Connected to ${storage.backend} storage (${storage.location})`);
+} catch (error) {
+  console.error(`❌ ${storage.backend} storage connection error:`, error);
   process.exit(1);
-});
+}
+
+// Every authenticated request checks that the account still exists
+const auth = createAuth({ ...config.auth, findUser: id => storage.users.findById(id) });
+if (process.env.ADMIN_EMAILS) {
+  console.warn('⚠️ ADMIN_EMAILS is no longer read; grant admin access with `npm run set-role -- <email> admin`');
+}
+
+// BP models are loaded once at startup; /api/predict answers 503 while the registry is empty
+const modelRegistry = await new ModelRegistry(config.prediction).load();
+if (modelRegistry.size > 0) {
+  console.log(`✅ Loaded ${modelRegistry.size} BP model(s), default: ${modelRegistry.defaultVersion}`);
+} else {
+  console.error(`❌ No BP models found in ${config.prediction.registryDir}`);
+}
 
-// Enhanced Prediction schema with validation
-const predictionSchema = new mongoose.Schema({
-  systolic: {
-    type: Number,
-    required: true,
-    min: 50,
-    max: 250
-  },
-  diastolic: {
-    type: Number,
-    required: true,
-    min: 30,
-    max: 150
-  },
-  emotion: {
-    type: String,
-    enum: ['happy', 'neutral', 'sad', 'angry', 'surprised', 'disgusted', 'fearful'],
-    default: 'neutral'
-  },
-  suggestions: [{
-    type: String,
-    required: true
-  }],
-  signal: {
-    type: Array,
-    required: true,
-    validate: {
-      validator: function(v) {
-        return Array.isArray(v) && v.length >= 100;
-      },
-      message: 'Signal must be an array with at least 100 samples'
-    }
-  },
-  userAgent: String,
-  ipAddress: String,
-  timestamp: {
-    type: Date,
-    default: Date.now,
-    index: true
-  }
-}, {
-  timestamps: true
-});
-
-// Enhanced Recording schema
-const recordingSchema = new mongoose.Schema({
-  filename: {
-    type: String,
-    required: true
-  },
-  path: {
-    type: String,
-    required: true
-  },
-  size: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  mimetype: {
-    type: String,
-    required: true
-  },
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  prediction: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Prediction',
-    index: true
-  },
-  metadata: Object
-}, {
-  timestamps: true
-});
-
-const Prediction = mongoose.model('Prediction', predictionSchema);
-const Recording = mongoose.model('Recording', recordingSchema);
+// Predictions run as background jobs so a slow model never blocks other requests; their
+// feature extraction runs on worker threads, which a job timeout terminates
+const predictionJobs = new JobQueue(config.jobs);
+const featurePool = new FeaturePool({ size: config.prediction.featureWorkers });
+const sweptFiles = await sweepTempDir(config.tempDir);
+if (sweptFiles > 0) {
+  console.log(`🧹 Removed ${sweptFiles} stale file(s) from ${config.tempDir}`);
+}
 
 // Middleware
 app.use(bodyParser.json({ limit: '10mb' }));
+app.use(cookieParser());
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -166,69 +133,331 @@ app.get('/results', (req, res) => {
   res.sendFile(path.join(__dirname, 'Public', 'templates','results.html'));
 });
 
-// Enhanced prediction endpoint with rate limiting
-app.post('/api/predict', async (req, res) => {
+app.get('/replay', (req, res) => {
+  res.sendFile(path.join(__dirname, 'Public', 'templates', 'replay.html'));
+});
+
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'Public', 'templates', 'login.html'));
+});
+
+// Account endpoints (the only /api routes reachable without a session)
+app.post('/api/auth/register', apiLimiter, async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ success: false, error: 'A valid email address is required' });
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ success: false, error: 'Password must be at least 8 characters' });
+    }
+    if (await storage.users.findByEmail(email)) {
+      return res.status(409).json({ success: false, error: 'An account with this email already exists' });
+    }
+
+    const user = await storage.users.create({
+      email,
+      name,
+      passwordHash: await auth.hashPassword(password)
+    });
+    const token = auth.issue(res, user);
+
+    return res.status(201).json({ success: true, data: publicUser(user), token });
+  } catch (error) {
+    console.error('Registration error:', error);
+    return res.status(500).json({ success: false, error: 'Registration failed' });
+  }
+});
+
+app.post('/api/auth/login', apiLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = typeof email === 'string'
+      ? await storage.users.findByEmail(email)
+      : null;
+
+    if (!user || typeof password !== 'string' || !(await auth.verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+
+    const token = auth.issue(res, user);
+    return res.json({ success: true, data: publicUser(user), token });
+  } catch (error) {
+    console.error('Login error:', error);
+    return res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.clear(res);
+  return res.json({ success: true });
+});
+
+// Everything else under /api needs a signed-in user (req.user)
+app.use('/api', auth.requireAuth);
+
+app.get('/api/auth/me', async (req, res) => {
+  const user = await storage.users.findById(req.user.id);
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Account no longer exists' });
+  }
+  return res.json({ success: true, data: publicUser(user) });
+});
+
+// Everything stored about the signed-in user: readings with raw signals, recordings and their files
+app.get('/api/me/export', apiLimiter, async (req, res) => {
+  try {
+    const user = await storage.users.findById(req.user.id);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Account no longer exists' });
+    }
+    const predictions = await storage.predictions.findByUser(req.user.id);
+    const recordings = await storage.recordings.findByUser(req.user.id);
+    const consents = await storage.consents.findByUser(req.user.id);
+    const calibrations = await storage.calibrations.findByUser(req.user.id);
+
+    const zip = new AdmZip();
+    const addJson = (name, data) => zip.addFile(name, Buffer.from(JSON.stringify(data, null, 2)));
+    addJson('account.json', publicUser(user));
+    addJson('predictions.json', predictions);
+    addJson('recordings.json', recordings.map(({ path: filePath, ...recording }) => recording));
+    addJson('consents.json', consents);
+    addJson('calibrations.json', calibrations.map(publicCalibration));
+
+    for (const recording of recordings) {
+      try {
+        zip.addFile(`recordings/${recording.filename}`, await encryption.readFile(recording.path));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        console.warn(`⚠️ Recording file missing from export: ${recording.path}`);
+      }
+    }
+
+    await auditAccess(req, 'account.export', {
+      resourceId: user._id,
+      details: { predictions: predictions.length, recordings: recordings.length }
+    });
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.attachment(`vasovue-export-${stamp}.zip`);
+    return res.type('application/zip').send(zip.toBuffer());
+  } catch (error) {
+    console.error('Export error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export data' });
+  }
+});
+
+// Delete the account with every reading, recording and video file that belongs to it
+app.delete('/api/me', apiLimiter, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const recordings = await storage.recordings.findByUser(userId);
+    await removeRecordingFiles(recordings);
+    const deleted = {
+      uploads: await chunkedUploads.deleteByUser(userId),
+      recordings: await storage.recordings.deleteByUser(userId),
+      calibrations: await storage.calibrations.deleteByUser(userId),
+      predictions: await storage.predictions.deleteByUser(userId),
+      consents: await storage.consents.deleteByUser(userId),
+      users: await storage.users.delete(userId)
+    };
+
+    await auditAccess(req, 'account.delete', { resourceId: userId, details: deleted });
+    auth.clear(res);
+    return res.json({ success: true, data: { deleted } });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    await auditAccess(req, 'account.delete', { resourceId: userId, outcome: 'failure', details: { error: error.message } });
+    return res.status(500).json({ success: false, error: 'Failed to delete account' });
+  }
+});
+
+// Current consent texts and the signed-in user's decision for each scope
+app.get('/api/consent', async (req, res) => {
+  try {
+    const status = consentStatus(await storage.consents.findByUser(req.user.id));
+    return res.json({ success: true, data: Object.values(status) });
+  } catch (error) {
+    console.error('Consent fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to fetch consent' });
+  }
+});
+
+// Record a grant or withdrawal; `version` must be the text the user was shown
+app.post('/api/consent', apiLimiter, async (req, res) => {
+  try {
+    const { scope, version, granted } = req.body;
+    if (!CONSENT_SCOPES.includes(scope)) {
+      return res.status(400).json({ success: false, error: `scope must be one of ${CONSENT_SCOPES.join(', ')}` });
+    }
+    if (typeof granted !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'granted must be true or false' });
+    }
+    const current = currentConsentText(scope);
+    if (version !== current.version) {
+      return res.status(409).json({
+        success: false,
+        error: `Consent text for ${scope} has changed, please review version ${current.version}`,
+        data: current
+      });
+    }
+
+    const consent = await storage.consents.create({
+      user: req.user.id,
+      scope,
+      version,
+      granted,
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
+    await auditAccess(req, granted ? 'consent.grant' : 'consent.withdraw', { resourceId: scope, details: { version } });
+
+    return res.status(201).json({ success: true, data: consent });
+  } catch (error) {
+    console.error('Consent save error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to save consent' });
+  }
+});
+
+// Audit trail queries for admins (accounts with the admin role)
+const AUDIT_MAX_LIMIT = 500;
+
+app.get('/api/admin/audit', auth.requireAdmin, async (req, res) => {
+  try {
+    const { actor, action, resourceId, subject, outcome } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), AUDIT_MAX_LIMIT);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+    if ([actor, action, resourceId, subject, outcome].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ success: false, error: 'Filters must be single values' });
+    }
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates' });
+    }
+    if (outcome !== undefined && !['success', 'failure'].includes(outcome)) {
+      return res.status(400).json({ success: false, error: 'outcome must be success or failure' });
+    }
+
+    const filters = { actor, action, resourceId, subject, outcome, from, to };
+    const entries = await storage.audit.find({ ...filters, limit, skip });
+    await auditAccess(req, 'audit.read', { subject: subject ?? null, details: { ...filters, count: entries.length } });
+
+    return res.json({ success: true, data: entries, count: entries.length });
+  } catch (error) {
+    console.error('Audit query error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to query audit log' });
+  }
+});
+
+// Retraining set from every user who consented to research use
+app.get('/api/admin/calibrations/export', auth.requireAdmin, async (req, res) => {
+  try {
+    const featureSource = parseFeatureSource(req.query.featureSource);
+    if (!featureSource) return featureSourceError(res);
+    const paired = await storage.calibrations.findPaired();
+    const users = [...new Set(paired.map(c => String(c.user)))];
+    const consenting = new Set();
+    for (const userId of users) {
+      if (consentStatus(await storage.consents.findByUser(userId)).research.valid) consenting.add(userId);
+    }
+
+    const rows = toDatasetRows(paired.filter(c => consenting.has(String(c.user))), { featureSource });
+    await auditAccess(req, 'calibration.read', { subject: null, details: { format: 'dataset', featureSource, users: consenting.size, count: rows.length } });
+    res.attachment(`vasovue-calibration-research-${featureSource}-${new Date().toISOString().slice(0, 10)}.csv`);
+    return res.type('text/csv').send(toCsv(DATASET_COLUMNS, rows));
+  } catch (error) {
+    console.error('Research export error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export calibrations' });
+  }
+});
+
+// Recompute the hash chain; valid: false names the first entry that was altered or removed
+app.get('/api/admin/audit/verify', auth.requireAdmin, async (req, res) => {
+  try {
+    return res.json({ success: true, data: await storage.audit.verify() });
+  } catch (error) {
+    console.error('Audit verification error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to verify audit log' });
+  }
+});
+
+// Enhanced prediction endpoint: queues a job and answers immediately
+app.post('/api/predict', requireConsent('signal_storage'), async (req, res) => {
     try {
-        const { signal, emotion } = req.body;
+        const { signal, timestamps, rois, sampleRate, emotion, model, sessionId } = req.body;
+        const selected = modelRegistry.resolve(model);
+        if (!selected) {
+            return unknownModelResponse(res, model);
+        }
+        if (sessionId != null && (typeof sessionId !== 'string' || !isUuid(sessionId))) {
+            return res.status(400).json({ success: false, error: 'sessionId must be a UUID' });
+        }
         if (!Array.isArray(signal) || signal.length < 100) {
             return res.status(400).json({ success: false, error: 'Signal must be an array with at least 100 samples' });
         }
-
-        // 1. Write signal to temp CSV with timestamps and header
-        const samplingRate = 30; // Hz
-        const tempDir = path.join(__dirname, 'temp');
-        if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir);
-        const tempCsv = path.join(tempDir, `rppg_${Date.now()}.csv`);
-        const csvLines = ['Time (s),Green Avg (rPPG Proxy)'];
-        for (let i = 0; i < signal.length; i++) {
-            const time = (i / samplingRate).toFixed(3);
-            csvLines.push(`${time},${signal[i]}`);
-        }
-        console.log('Received signal, writing CSV...');
-        fs.writeFileSync(tempCsv, csvLines.join('\n'));
-        console.log('CSV written, running Features.py...');
-
-        // 2. Call Features.py to extract features
-        const featuresPy = path.join(__dirname, 'model', 'python_src', 'models', 'Features.py');
-        const featuresCsv = path.join(tempDir, `rppg_features_${Date.now()}.csv`);
-        const featuresResult = spawnSync('/usr/local/bin/python3', [featuresPy, tempCsv, featuresCsv], { encoding: 'utf-8' });
-        console.log('Features.py finished.');
-
-        if (featuresResult.status !== 0) {
-            throw new Error(`Features.py error: ${featuresResult.stderr || featuresResult.stdout}`);
+        const input = normalizeSignalInput({ signal, timestamps, rois, sampleRate });
+        if (input.error) {
+            return res.status(400).json({ success: false, error: input.error });
         }
 
-        // 3. Read features from output CSV
-        if (!fs.existsSync(featuresCsv)) throw new Error('Features output CSV not found');
-        const featuresLine = fs.readFileSync(featuresCsv, 'utf8').split('\n')[1];
-        const featuresArr = featuresLine.split(',').map(Number);
+        const userId = req.user.id;
+        const userAgent = req.get('User-Agent');
+        const ipAddress = req.ip;
 
-        // 4. Call predict_bp.py with features as JSON string argument
-        const predictPy = path.join(__dirname, 'model', 'predict_bp.py');
-        const featuresJson = JSON.stringify(featuresArr);
-        const predictResult = spawnSync('/usr/local/bin/python3', [predictPy, featuresJson], { encoding: 'utf-8' });
+        const job = predictionJobs.enqueue('predict', async ({ signal: abortSignal }) => {
+            // 1. Features and pulse estimates from the uniform trace, the same path for every endpoint
+            const { features, signalQuality, heartRate } = await featurePool.analyze(input.signal, input.sampleRate, { signal: abortSignal });
 
-        if (predictResult.status !== 0) {
-            throw new Error(`predict_bp.py error: ${predictResult.stderr || predictResult.stdout}`);
-        }
+            // 2. Run the selected BP model version (in-process or predict_bp.py)
+            const prediction = validatePrediction(await selected.predictor.predict(features, { signal: abortSignal }));
 
-        // 5. Parse prediction result (should be JSON)
-        let prediction;
-        try {
-            prediction = JSON.parse(predictResult.stdout.trim());
-        } catch (e) {
-            throw new Error('Failed to parse prediction output: ' + predictResult.stdout);
-        }
+            // 3. Persist the reading with everything needed to reproduce it, unless the job
+            //    already timed out and was reported failed (a slow model can still resolve late)
+            abortSignal.throwIfAborted();
+            const saved = await savePrediction({
+                ...prediction,
+                user: userId,
+                emotion,
+                signal: input.samples,
+                timestamps: input.timestamps,
+                rois: input.rois,
+                sampleRate: input.sampleRate,
+                features,
+                featureSource: 'raw',
+                signalQuality,
+                heartRate,
+                modelVersion: selected.version,
+                uncertainty: describeUncertainty(prediction, selected.calibration),
+                sessionId,
+                userAgent,
+                ipAddress
+            });
+            // Once stored the reading is audited, even if the timeout fired during the write
+            await auditAccess(req, 'prediction.create', { resourceId: saved._id });
 
-        if (!prediction.systolic || !prediction.diastolic) {
-            throw new Error('Prediction output missing systolic/diastolic');
-        }
+            return {
+                predictionId: saved._id,
+                systolic: saved.systolic,
+                diastolic: saved.diastolic,
+                raw: saved.raw,
+                personalCalibration: saved.personalCalibration || null,
+                emotion: saved.emotion,
+                sessionId: saved.sessionId ?? null,
+                signalQuality: saved.signalQuality,
+                heartRate: saved.heartRate ?? null,
+                sampleRate: saved.sampleRate,
+                resampled: input.resampled,
+                modelVersion: saved.modelVersion,
+                uncertainty: saved.uncertainty || null
+            };
+        }, { owner: userId });
 
-        res.json({
+        res.status(202).json({
             success: true,
-            systolic: prediction.systolic,
-            diastolic: prediction.diastolic,
-            emotion: emotion || null
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`
         });
 
     } catch (error) {
@@ -237,10 +466,119 @@ app.post('/api/predict', async (req, res) => {
     }
 });
 
+// Batch prediction over offline session exports (CSV/JSON files or zips of them)
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: 50, fileSize: 20 * 1024 * 1024 }
+});
+
+const BATCH_CSV_COLUMNS = [
+  'file', 'status', 'samples', 'sampleRate', 'resampled', 'systolic', 'diastolic',
+  'systolicMargin', 'diastolicMargin', 'signalQuality', 'modelVersion', 'error'
+];
+
+app.post('/api/predict/batch', apiLimiter, batchUpload.array('files'), async (req, res) => {
+  try {
+    const model = req.body.model || req.query.model;
+    const selected = modelRegistry.resolve(model);
+    if (!selected) {
+      return unknownModelResponse(res, model);
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: 'No session files uploaded (field "files")' });
+    }
+
+    // One job per file; a bad file only fails its own row
+    const rows = await Promise.all(expandUploads(req.files, config.batch).map(async (file) => {
+      if (file.error) return { file: file.name, status: 'error', error: file.error };
+
+      let input;
+      try {
+        const session = parseSessionFile(file.name, file.buffer);
+        if (!Array.isArray(session.signal) || session.signal.length < MIN_SAMPLES_FOR_PREDICTION) {
+          throw new Error(`Session has fewer than ${MIN_SAMPLES_FOR_PREDICTION} samples`);
+        }
+        input = normalizeSignalInput(session);
+        if (input.error) throw new Error(input.error);
+      } catch (error) {
+        return { file: file.name, status: 'error', error: error.message };
+      }
+
+      const job = await predictionJobs.wait(predictionJobs.enqueue('predict-batch', async ({ signal: abortSignal }) => {
+        const { features, signalQuality } = await featurePool.analyze(input.signal, input.sampleRate, { signal: abortSignal });
+        const prediction = validatePrediction(await selected.predictor.predict(features, { signal: abortSignal }));
+        return { ...prediction, signalQuality, uncertainty: describeUncertainty(prediction, selected.calibration) };
+      }, { owner: req.user.id }));
+      if (job.status === 'failed') {
+        return { file: file.name, status: 'error', error: job.error };
+      }
+
+      return {
+        file: file.name,
+        status: 'ok',
+        samples: input.signal.length,
+        sampleRate: input.sampleRate,
+        resampled: input.resampled,
+        systolic: job.result.systolic,
+        diastolic: job.result.diastolic,
+        systolicMargin: job.result.uncertainty?.systolicMargin,
+        diastolicMargin: job.result.uncertainty?.diastolicMargin,
+        signalQuality: job.result.signalQuality,
+        modelVersion: selected.version
+      };
+    }));
+
+    if (req.query.format === 'csv' || req.accepts(['json', 'text/csv']) === 'text/csv') {
+      res.attachment(`bp-batch-${Date.now()}.csv`);
+      return res.type('text/csv').send(toCsv(BATCH_CSV_COLUMNS, rows));
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        modelVersion: selected.version,
+        results: rows.filter(row => row.status === 'ok'),
+        errors: rows.filter(row => row.status === 'error').map(({ file, error }) => ({ file, error }))
+      }
+    });
+  } catch (error) {
+    if (error instanceof BatchLimitError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Batch prediction error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Available BP model versions
+app.get('/api/models', (req, res) => {
+  return res.json({
+    success: true,
+    data: modelRegistry.list(),
+    defaultVersion: modelRegistry.defaultVersion
+  });
+});
+
+// Prediction job status polling
+app.get('/api/jobs/:id', (req, res) => {
+  const job = predictionJobs.get(req.params.id);
+  if (!job || job.owner !== req.user.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found or expired'
+    });
+  }
+
+  return res.json({
+    success: true,
+    data: predictionJobs.toJSON(job)
+  });
+});
+
 // Update the /api/process-rppg endpoint
-app.post('/api/process-rppg', apiLimiter, async (req, res) => {
+app.post('/api/process-rppg', apiLimiter, requireConsent('signal_storage'), async (req, res) => {
     try {
-        const { signal } = req.body;
+        const { signal, timestamps, rois, sampleRate, emotion, model, sessionId } = req.body;
         
         // Validate input
         if (!Array.isArray(signal) || signal.length < MIN_SAMPLES_FOR_PREDICTION) {
@@ -251,44 +589,59 @@ app.post('/api/process-rppg', apiLimiter, async (req, res) => {
                 required: MIN_SAMPLES_FOR_PREDICTION
             });
         }
+        const input = normalizeSignalInput({ signal, timestamps, rois, sampleRate });
+        if (input.error) {
+            return res.status(400).json({ success: false, error: input.error });
+        }
+        if (sessionId != null && (typeof sessionId !== 'string' || !isUuid(sessionId))) {
+            return res.status(400).json({ success: false, error: 'sessionId must be a UUID' });
+        }
+        const selected = modelRegistry.resolve(model);
+        if (!selected) {
+            return unknownModelResponse(res, model);
+        }
         
-        // Process signal (replace with your actual processing logic)
-        const processedSignal = window.rPPG.prepareSignalForML(signal);
-        const features = window.rPPG.extractFeatures(processedSignal);
-        
-        // Call Python script for prediction
-        const pythonScript = path.join(__dirname, 'model', 'predict_bp.py');
-        const tempFile = path.join(__dirname, 'temp', `rppg_${Date.now()}.json`);
-        
-        await fs.promises.writeFile(tempFile, JSON.stringify({
-            signal: processedSignal,
-            features
-        }));
-        
-        const pythonProcess = spawn('C:\\Users\\vedam\\AppData\\Local\\Programs\\Python\\Python312\\python.exe', [pythonScript, tempFile]);
-        
-        let stdout = '';
-        pythonProcess.stdout.on('data', (data) => stdout += data.toString());
-        
-        const exitCode = await new Promise((resolve) => {
-            pythonProcess.on('close', resolve);
-        });
+        // Same features as /api/predict, predicted on the shared job queue
+        const job = predictionJobs.enqueue('process-rppg', async ({ signal: abortSignal }) => {
+            const analysis = await featurePool.analyze(input.signal, input.sampleRate, { signal: abortSignal });
+            const result = validatePrediction(await selected.predictor.predict(analysis.features, { signal: abortSignal }));
+            return { ...result, ...analysis };
+        }, { owner: req.user.id });
         
-        if (exitCode !== 0) throw new Error('Python script failed');
+        await predictionJobs.wait(job);
+        if (job.status === 'failed') throw new Error(job.error);
         
-        // Parse results
-        const result = parsePythonOutput(stdout);
+        const { features, signalQuality, heartRate, ...result } = job.result;
         
         // Save to database
         const prediction = await savePrediction({
             ...result,
-            signal: processedSignal,
-            inputData: features
+            user: req.user.id,
+            emotion,
+            signal: input.samples,
+            timestamps: input.timestamps,
+            rois: input.rois,
+            sampleRate: input.sampleRate,
+            features,
+            featureSource: 'raw',
+            signalQuality,
+            heartRate,
+            modelVersion: selected.version,
+            uncertainty: describeUncertainty(result, selected.calibration),
+            sessionId,
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip
         });
+        await auditAccess(req, 'prediction.create', { resourceId: prediction._id });
         
         res.json({
             success: true,
-            data: prediction
+            data: {
+                ...prediction,
+                personalCalibration: prediction.personalCalibration || null,
+                resampled: input.resampled,
+                category: getBpCategory(prediction.systolic, prediction.diastolic)
+            }
         });
         
     } catch (error) {
@@ -304,9 +657,7 @@ app.post('/api/process-rppg', apiLimiter, async (req, res) => {
 // Enhanced results endpoint
 app.get('/api/predict/result', async (req, res) => {
   try {
-    const lastPrediction = await Prediction.findOne()
-      .sort({ timestamp: -1 })
-      .lean();
+    const lastPrediction = await storage.predictions.findLatest(req.user.id);
 
     if (!lastPrediction) {
       return res.json({
@@ -325,6 +676,7 @@ app.get('/api/predict/result', async (req, res) => {
       });
     }
 
+    await auditAccess(req, 'prediction.read', { resourceId: lastPrediction._id });
     const category = getBpCategory(lastPrediction.systolic, lastPrediction.diastolic);
     const suggestions = generateSuggestions(lastPrediction.systolic, lastPrediction.diastolic);
 
@@ -345,67 +697,245 @@ app.get('/api/predict/result', async (req, res) => {
   }
 });
 
-// Ensure the 'recordings' directory exists
-const recordingsDir = path.join(__dirname, 'uploads/recordings');
-if (!fs.existsSync(recordingsDir)) {
-    fs.mkdirSync(recordingsDir, { recursive: true });
+// Reading history of the signed-in user, optionally bucketed by day/week/month
+const HISTORY_MAX_READINGS = 1000;
+
+app.get('/api/history', apiLimiter, async (req, res) => {
+  try {
+    const { bucket = 'day', aggregation = 'mean', tz = 'UTC' } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (!HISTORY_BUCKETS.includes(bucket)) {
+      return res.status(400).json({ success: false, error: `bucket must be one of ${HISTORY_BUCKETS.join(', ')}` });
+    }
+    if (!HISTORY_AGGREGATIONS.includes(aggregation)) {
+      return res.status(400).json({ success: false, error: `aggregation must be one of ${HISTORY_AGGREGATIONS.join(', ')}` });
+    }
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ success: false, error: 'from and to must be dates with from <= to' });
+    }
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({ success: false, error: `Unknown time zone: ${tz}` });
+    }
+
+    let data;
+    let readings;
+    if (bucket === 'none') {
+      readings = await storage.predictions.findInRange(req.user.id, { from, to, limit: HISTORY_MAX_READINGS });
+      data = readings.map(r => ({
+        id: r._id,
+        date: r.timestamp,
+        systolic: r.systolic,
+        diastolic: r.diastolic,
+        signalQuality: r.signalQuality,
+        modelVersion: r.modelVersion,
+        count: 1
+      }));
+    } else {
+      readings = await storage.predictions.findInRange(req.user.id, { from, to });
+      data = bucketReadings(readings, { bucket, aggregation, tz });
+    }
+    await auditAccess(req, 'prediction.read', { details: { from, to, bucket, count: readings.length } });
+
+    return res.json({
+      success: true,
+      data,
+      bucket,
+      aggregation: bucket === 'none' ? null : aggregation,
+      from,
+      to
+    });
+  } catch (error) {
+    console.error('History error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to fetch history' });
+  }
+});
+
+// Cuff reference readings, paired with the VasoVue reading taken right before or after
+const calibrationWindowMs = config.calibration.pairWindowMinutes * 60 * 1000;
+
+app.post('/api/calibrations', apiLimiter, async (req, res) => {
+  try {
+    const cuff = validateCuffReading(req.body);
+    if (cuff.error) {
+      return res.status(400).json({ success: false, error: cuff.error });
+    }
+
+    let reading = null;
+    if (cuff.predictionId) {
+      reading = await storage.predictions.findById(req.user.id, cuff.predictionId);
+      if (!reading) {
+        return res.status(404).json({ success: false, error: 'Reading not found' });
+      }
+      if (Math.abs(new Date(reading.timestamp) - cuff.measuredAt) > calibrationWindowMs) {
+        return res.status(400).json({
+          success: false,
+          error: `The cuff reading must be taken within ${config.calibration.pairWindowMinutes} minutes of the VasoVue reading`
+        });
+      }
+    } else {
+      const nearby = await storage.predictions.findInRange(req.user.id, {
+        from: new Date(cuff.measuredAt.getTime() - calibrationWindowMs),
+        to: new Date(cuff.measuredAt.getTime() + calibrationWindowMs)
+      });
+      reading = nearestReading(nearby, cuff.measuredAt);
+    }
+
+    const { predictionId, ...values } = cuff;
+    const calibration = await storage.calibrations.create({ ...values, user: req.user.id, prediction: reading?._id });
+    await auditAccess(req, 'calibration.create', { resourceId: calibration._id, details: { prediction: reading ? String(reading._id) : null } });
+
+    // Without a reading yet, the next one taken within the window is paired (see savePrediction)
+    return res.status(201).json({ success: true, data: publicCalibration({ ...calibration, prediction: reading }) });
+  } catch (error) {
+    console.error('Calibration save error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to save calibration' });
+  }
+});
+
+app.get('/api/calibrations', apiLimiter, async (req, res) => {
+  try {
+    const calibrations = await storage.calibrations.findByUser(req.user.id);
+    await auditAccess(req, 'calibration.read', { details: { count: calibrations.length } });
+    return res.json({ success: true, data: calibrations.map(publicCalibration), count: calibrations.length });
+  } catch (error) {
+    console.error('Calibration fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to fetch calibrations' });
+  }
+});
+
+// Paired readings as synthetic_bp_dataset.csv rows (features + cuff labels)
+app.get('/api/calibrations/export', apiLimiter, async (req, res) => {
+  try {
+    const featureSource = parseFeatureSource(req.query.featureSource);
+    if (!featureSource) return featureSourceError(res);
+    const rows = toDatasetRows(await storage.calibrations.findPaired({ user: req.user.id }), { featureSource });
+    await auditAccess(req, 'calibration.read', { details: { format: 'dataset', featureSource, count: rows.length } });
+    res.attachment(`vasovue-calibration-${featureSource}-${new Date().toISOString().slice(0, 10)}.csv`);
+    return res.type('text/csv').send(toCsv(DATASET_COLUMNS, rows));
+  } catch (error) {
+    console.error('Calibration export error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export calibrations' });
+  }
+});
+
+// FHIR R4 view of the signed-in user's readings for EHR integrations
+const FHIR_MAX_COUNT = 1000;
+
+function sendFhir(res, status, resource) {
+  return res.status(status).type(FHIR_CONTENT_TYPE).send(JSON.stringify(resource));
 }
 
-// Set up multer storage
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, recordingsDir);
-    },
-    filename: function (req, file, cb) {
-        cb(null, file.originalname);
+const fhirBaseUrl = (req) => `${req.protocol}://${req.get('host')}/api/fhir`;
+
+// Search: date=ge2026-01-01&date=lt2026-02-01&_count=50&_offset=0, newest readings first
+app.get('/api/fhir/Observation', apiLimiter, async (req, res) => {
+  try {
+    const range = parseDateSearch(req.query.date);
+    if (!range) {
+      return sendFhir(res, 400, operationOutcome('invalid', 'date must be a FHIR date search value, e.g. ge2026-01-01'));
+    }
+    const requestedCount = parsePagingParam(req.query._count, 100);
+    const offset = parsePagingParam(req.query._offset, 0);
+    if (requestedCount === null || offset === null) {
+      return sendFhir(res, 400, operationOutcome('invalid', '_count and _offset must be non-negative integers'));
     }
+    const count = Math.min(requestedCount, FHIR_MAX_COUNT);
+
+    const user = await storage.users.findById(req.user.id);
+    const [readings, total] = await Promise.all([
+      // _count=0: only the total (a limit of 0 would mean no limit to the store)
+      count > 0 ? storage.predictions.findInRange(req.user.id, { ...range, limit: count, skip: offset, newestFirst: true }) : [],
+      storage.predictions.countInRange(req.user.id, range)
+    ]);
+    await auditAccess(req, 'prediction.read', { details: { format: 'fhir', count: readings.length } });
+
+    const observations = readings.map(reading => predictionToObservation(reading, { ...config.fhir, user }));
+    return sendFhir(res, 200, toBundle(observations, {
+      type: 'searchset',
+      baseUrl: fhirBaseUrl(req),
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      total,
+      offset,
+      count
+    }));
+  } catch (error) {
+    console.error('FHIR search error:', error);
+    return sendFhir(res, 500, operationOutcome('exception', 'Failed to search observations'));
+  }
 });
-const upload = multer({ storage: storage });
 
-// Upload route
-app.post('/api/upload-recording', upload.single('video'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ success: false, error: 'No file uploaded' });
+// Whole history as a downloadable collection Bundle
+app.get('/api/fhir/export', apiLimiter, async (req, res) => {
+  try {
+    const user = await storage.users.findById(req.user.id);
+    const readings = await storage.predictions.findByUser(req.user.id);
+    await auditAccess(req, 'prediction.read', { details: { format: 'fhir-bundle', count: readings.length } });
+
+    const observations = readings.map(reading => predictionToObservation(reading, { ...config.fhir, user }));
+    res.attachment(`vasovue-fhir-${new Date().toISOString().slice(0, 10)}.json`);
+    return sendFhir(res, 200, toBundle(observations, { type: 'collection', baseUrl: fhirBaseUrl(req) }));
+  } catch (error) {
+    console.error('FHIR export error:', error);
+    return sendFhir(res, 500, operationOutcome('exception', 'Failed to export observations'));
+  }
+});
+
+app.get('/api/fhir/Observation/:id', apiLimiter, async (req, res) => {
+  try {
+    const reading = await storage.predictions.findById(req.user.id, req.params.id);
+    if (!reading) {
+      await auditAccess(req, 'prediction.read', { resourceId: req.params.id, outcome: 'failure', details: { format: 'fhir' } });
+      return sendFhir(res, 404, operationOutcome('not-found', `Observation/${req.params.id} is not known`));
+    }
+    await auditAccess(req, 'prediction.read', { resourceId: reading._id, details: { format: 'fhir' } });
+
+    const user = await storage.users.findById(req.user.id);
+    return sendFhir(res, 200, predictionToObservation(reading, { ...config.fhir, user }));
+  } catch (error) {
+    console.error('FHIR read error:', error);
+    return sendFhir(res, 500, operationOutcome('exception', 'Failed to read observation'));
+  }
+});
+
+// Ensure the 'recordings' and partial upload directories exist
+const recordingsDir = path.join(__dirname, 'uploads/recordings');
+const partialUploadsDir = path.join(__dirname, 'uploads/partial');
+for (const dir of [recordingsDir, partialUploadsDir]) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
     }
-    res.json({ success: true, filename: req.file.filename });
+}
+
+// Uuid-named, size- and type-limited WebM uploads, encrypted at rest when keys are set
+const upload = createRecordingUpload({
+    directory: recordingsDir,
+    encryption,
+    maxBytes: config.recordings.maxBytes
 });
 
-// Enhanced recording endpoints
-app.post('/api/upload-recording', apiLimiter, upload.single('video'), async (req, res) => {
+// Store a session's video; it is linked to the given prediction, or to the session's reading once saved
+app.post('/api/upload-recording', apiLimiter, requireConsent('video_storage'), upload.single('video'), async (req, res) => {
+  const discard = () => req.file && fs.promises.rm(req.file.path, { force: true });
   try {
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: 'No video file uploaded'
+        error: 'No video file uploaded (field "video")'
       });
     }
 
-    const latestPrediction = await Prediction.findOne().sort({ timestamp: -1 });
-
-    const recording = new Recording({
-      filename: req.file.filename,
-      path: req.file.path,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-      prediction: latestPrediction?._id,
-      metadata: {
-        originalName: req.file.originalname,
-        encoding: req.file.encoding
-      }
-    });
-
-    await recording.save();
+    const link = await resolveRecordingLink(req.user.id, req.body);
+    if (link.error) {
+      await discard();
+      return res.status(link.status).json({ success: false, error: link.error });
+    }
 
-    return res.json({
-      success: true,
-      data: {
-        id: recording._id,
-        filename: recording.filename,
-        url: `/recordings/${recording.filename}`,
-        createdAt: recording.createdAt
-      }
-    });
+    const recording = await saveRecording(req, req.file, link);
+    return res.status(201).json({ success: true, data: publicRecording(recording) });
   } catch (error) {
+    await discard();
     console.error('Upload error:', error);
     return res.status(500).json({
       success: false,
@@ -414,17 +944,133 @@ app.post('/api/upload-recording', apiLimiter, upload.single('video'), async (req
   }
 });
 
+// Resumable uploads: create, PUT parts at the received offset, then complete
+const chunkedUploads = createChunkedUploads({
+  directory: partialUploadsDir,
+  recordingsDir,
+  encryption,
+  maxBytes: config.recordings.maxBytes,
+  chunkBytes: config.recordings.chunkBytes,
+  ttlMs: config.recordings.uploadTtlMs
+});
+
+const uploadStatus = (upload) => ({
+  id: upload.id,
+  size: upload.size,
+  received: upload.received,
+  chunkBytes: chunkedUploads.chunkBytes,
+  sessionId: upload.sessionId,
+  predictionId: upload.predictionId,
+  updatedAt: upload.updatedAt
+});
+
+function uploadErrorResponse(res, error, context) {
+  if (error instanceof UploadError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${context} error:`, error);
+  return res.status(500).json({ success: false, error: `${context} failed` });
+}
+
+const uploadNotFound = (res) => res.status(404).json({ success: false, error: 'Upload not found or expired' });
+
+app.post('/api/uploads', apiLimiter, requireConsent('video_storage'), async (req, res) => {
+  try {
+    const { size, checksum, mimetype } = req.body;
+    const link = await resolveRecordingLink(req.user.id, req.body);
+    if (link.error) {
+      return res.status(link.status).json({ success: false, error: link.error });
+    }
+
+    const upload = await chunkedUploads.create(req.user.id, {
+      size,
+      checksum,
+      mimetype,
+      sessionId: link.sessionId,
+      predictionId: link.prediction?._id,
+      startedAt: link.startedAt
+    });
+    return res.status(201).json({ success: true, data: uploadStatus(upload) });
+  } catch (error) {
+    return uploadErrorResponse(res, error, 'Upload start');
+  }
+});
+
+// Where to resume: parts continue at `received`
+app.get('/api/uploads/:id', async (req, res) => {
+  try {
+    const upload = await chunkedUploads.get(req.user.id, req.params.id);
+    if (!upload) return uploadNotFound(res);
+    return res.json({ success: true, data: uploadStatus(upload) });
+  } catch (error) {
+    return uploadErrorResponse(res, error, 'Upload status');
+  }
+});
+
+app.put('/api/uploads/:id/parts', express.raw({ type: 'application/octet-stream', limit: config.recordings.chunkBytes }), async (req, res) => {
+  try {
+    const offset = Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ success: false, error: 'offset must be a non-negative integer' });
+    }
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ success: false, error: 'Parts must be sent as application/octet-stream' });
+    }
+
+    const upload = await chunkedUploads.appendPart(req.user.id, req.params.id, offset, req.body);
+    if (!upload) return uploadNotFound(res);
+    return res.json({ success: true, data: uploadStatus(upload) });
+  } catch (error) {
+    if (error instanceof UploadError && error.status === 409) {
+      // Out of step (e.g. a retried part); tell the client where to continue
+      const upload = await chunkedUploads.get(req.user.id, req.params.id).catch(() => null);
+      return res.status(409).json({ success: false, error: error.message, data: upload && uploadStatus(upload) });
+    }
+    return uploadErrorResponse(res, error, 'Upload part');
+  }
+});
+
+app.post('/api/uploads/:id/complete', apiLimiter, requireConsent('video_storage'), async (req, res) => {
+  try {
+    const assembled = await chunkedUploads.complete(req.user.id, req.params.id);
+    if (!assembled) return uploadNotFound(res);
+
+    const { upload, file } = assembled;
+    let recording;
+    try {
+      // The session's reading may have been saved while the video was uploading
+      const link = await resolveRecordingLink(req.user.id, upload);
+      recording = await saveRecording(req, file, link.error ? { sessionId: upload.sessionId, startedAt: upload.startedAt && new Date(upload.startedAt) } : link);
+    } catch (error) {
+      // No record points at the assembled file, so it would never be served or purged
+      await fs.promises.rm(file.path, { force: true });
+      throw error;
+    }
+    return res.status(201).json({ success: true, data: publicRecording(recording) });
+  } catch (error) {
+    return uploadErrorResponse(res, error, 'Upload completion');
+  }
+});
+
+app.delete('/api/uploads/:id', async (req, res) => {
+  try {
+    if (!(await chunkedUploads.abort(req.user.id, req.params.id))) return uploadNotFound(res);
+    return res.json({ success: true });
+  } catch (error) {
+    return uploadErrorResponse(res, error, 'Upload abort');
+  }
+});
+
+// Recordings of the signed-in user, a page at a time
+const RECORDINGS_MAX_LIMIT = 100;
+
 app.get('/api/recordings', apiLimiter, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = parseInt(req.query.skip) || 0;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), RECORDINGS_MAX_LIMIT);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
 
-    const recordings = await Recording.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('prediction')
-      .lean();
+    const recordings = await storage.recordings.list(req.user.id, { limit, skip });
+    await auditAccess(req, 'recording.read', { details: { limit, skip, count: recordings.length } });
 
     return res.json({
       success: true,
@@ -444,44 +1090,275 @@ app.get('/api/recordings', apiLimiter, async (req, res) => {
 });
 
 // Helper functions
-function parsePythonOutput(output) {
-  try {
-    const result = JSON.parse(output.trim());
-    
-    if (typeof result.systolic !== 'number' || typeof result.diastolic !== 'number') {
-      throw new Error('Invalid output format - missing systolic/diastolic values');
+
+// ?featureSource= of the dataset exports: raw (default, what every endpoint stores) or prepared (older /api/process-rppg readings)
+function parseFeatureSource(value) {
+  if (value == null || value === '') return 'raw';
+  return FEATURE_SOURCES.includes(value) ? value : null;
+}
+
+function featureSourceError(res) {
+  return res.status(400).json({ success: false, error: `featureSource must be one of ${FEATURE_SOURCES.join(', ')}` });
+}
+
+function unknownModelResponse(res, version) {
+  if (!version) {
+    return res.status(503).json({ success: false, error: 'BP model is not loaded' });
+  }
+  return res.status(400).json({
+    success: false,
+    error: `Unknown model version: ${version}`,
+    available: modelRegistry.list().map(m => m.version)
+  });
+}
+
+/**
+ * Put an incoming trace on a uniform time grid before feature extraction.
+ * Per-sample timestamps (ms, as VasoVueRPPG records them) are resampled at
+ * their rate over the whole span, (n - 1) / (last - first); otherwise the
+ * samples are taken as uniform at sampleRate, or at the legacy 30 Hz when
+ * neither is given. Per-sample face ROIs ([x, y, width, height] as
+ * fractions of the frame) are checked and passed through for replay.
+ * Traces longer than config.prediction.maxSignalSamples are refused.
+ * Returns { signal, samples, timestamps, rois, sampleRate, resampled } or
+ * { error }; `samples` are the validated numbers as sent, one per timestamp,
+ * which is what a reading stores.
+ */
+function normalizeSignalInput({ signal, timestamps, rois, sampleRate }) {
+  if (signal.length > config.prediction.maxSignalSamples) {
+    return { error: `Signal must have at most ${config.prediction.maxSignalSamples} samples` };
+  }
+  const values = signal.map(Number);
+  if (!values.every(Number.isFinite)) {
+    return { error: 'Signal must contain only numeric samples' };
+  }
+
+  let input = { signal: values, samples: values, sampleRate: DEFAULT_SAMPLE_RATE, resampled: false };
+  if (timestamps != null) {
+    if (!Array.isArray(timestamps) || timestamps.length !== values.length) {
+      return { error: 'timestamps must have one entry per signal sample' };
     }
+    const times = timestamps.map(Number);
+    if (!times.every((t, i) => Number.isFinite(t) && (i === 0 || t > times[i - 1]))) {
+      return { error: 'timestamps must be strictly increasing numbers (ms)' };
+    }
+
+    const seconds = times.map(t => (t - times[0]) / 1000);
+    const rate = estimateSampleRate(seconds);
+    input = { signal: resampleUniform(values, seconds, rate), samples: values, timestamps: times, sampleRate: rate, resampled: true };
+  } else if (sampleRate != null) {
+    input.sampleRate = Number(sampleRate);
+  }
 
-    if (result.systolic < 50 || result.systolic > 250) {
-      throw new Error(`Invalid systolic value: ${result.systolic}`);
+  if (!(input.sampleRate >= MIN_SAMPLE_RATE && input.sampleRate <= MAX_SAMPLE_RATE)) {
+    return { error: `Sample rate must be between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE} Hz` };
+  }
+  if (input.signal.length < MIN_SAMPLES_FOR_PREDICTION) {
+    return { error: `Signal must cover at least ${MIN_SAMPLES_FOR_PREDICTION} samples at ${input.sampleRate} Hz` };
+  }
+
+  if (rois != null) {
+    const isRoi = (roi) => Array.isArray(roi) && roi.length === 4 && roi.every(v => typeof v === 'number' && v >= 0 && v <= 1);
+    if (!Array.isArray(rois) || rois.length !== values.length || !rois.every(isRoi)) {
+      return { error: 'rois must have one [x, y, width, height] entry (fractions of the frame) per signal sample' };
     }
+    input.rois = rois;
+  }
+  return input;
+}
+
+// Account fields that are safe to send to the browser
+function publicUser(user) {
+  return { id: user._id, email: user.email, name: user.name, role: user.role ?? 'user', createdAt: user.createdAt };
+}
+
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escape).join(','))
+    .join('\n') + '\n';
+}
+
+function validatePrediction(result) {
+  if (typeof result.systolic !== 'number' || typeof result.diastolic !== 'number') {
+    throw new Error('Invalid model output - missing systolic/diastolic values');
+  }
+
+  if (result.systolic < 50 || result.systolic > 250) {
+    throw new Error(`Invalid systolic value: ${result.systolic}`);
+  }
+
+  if (result.diastolic < 30 || result.diastolic > 150) {
+    throw new Error(`Invalid diastolic value: ${result.diastolic}`);
+  }
 
-    if (result.diastolic < 30 || result.diastolic > 150) {
-      throw new Error(`Invalid diastolic value: ${result.diastolic}`);
+  const { systolic, diastolic, spread } = result;
+  return spread ? { systolic, diastolic, spread } : { systolic, diastolic };
+}
+
+// Append to the hash-chained access trail; a failed write is logged and never fails the request
+function auditAccess(req, action, { resourceId, subject = req.user?.id, outcome = 'success', details } = {}) {
+  return storage.audit.create({
+    actor: req.user?.id ?? 'anonymous',
+    action,
+    resourceId: resourceId == null ? undefined : String(resourceId),
+    subject: subject == null ? undefined : String(subject),
+    outcome,
+    details,
+    ip: req.ip
+  }).catch(error => console.error('❌ Audit write failed:', error));
+}
+
+// Refuse the request (before any upload reaches disk) unless the user consented to `scope`
+function requireConsent(scope) {
+  return async (req, res, next) => {
+    const status = consentStatus(await storage.consents.findByUser(req.user.id))[scope];
+    if (status.valid) return next();
+
+    await auditAccess(req, 'consent.check', { resourceId: scope, outcome: 'failure' });
+    return res.status(403).json({
+      success: false,
+      error: `Consent to ${status.title.toLowerCase()} is required`,
+      consentRequired: scope,
+      version: status.version
+    });
+  };
+}
+
+/**
+ * What a new recording links to: the given prediction (which must be the
+ * user's) or the reading already saved for the session. `startedAt` (ms
+ * since the epoch or an ISO date) is when capture began on the client's
+ * clock, which lines the video up with the reading's sample timestamps.
+ * Returns { sessionId, prediction, startedAt } or { status, error }.
+ */
+async function resolveRecordingLink(userId, { sessionId, predictionId, startedAt }) {
+  if (!sessionId && !predictionId) {
+    return { status: 400, error: 'sessionId or predictionId is required' };
+  }
+  if (sessionId && (typeof sessionId !== 'string' || !isUuid(sessionId))) {
+    return { status: 400, error: 'sessionId must be a UUID' };
+  }
+
+  let start;
+  if (startedAt != null && startedAt !== '') {
+    start = new Date(/^\d+$/.test(startedAt) ? Number(startedAt) : startedAt);
+    if (isNaN(start) || start > new Date(Date.now() + 60 * 1000)) {
+      return { status: 400, error: 'startedAt must be a date that is not in the future' };
     }
+  }
 
-    return result;
-  } catch (error) {
-    console.error('Failed to parse Python output:', output);
-    throw new Error(`Invalid Python output: ${error.message}`);
+  if (predictionId) {
+    const prediction = await storage.predictions.findById(userId, predictionId);
+    if (!prediction) return { status: 404, error: 'Prediction not found' };
+    return { sessionId: sessionId || prediction.sessionId, prediction, startedAt: start };
+  }
+  return { sessionId, prediction: await storage.predictions.findBySession(userId, sessionId), startedAt: start };
+}
+
+async function saveRecording(req, file, { sessionId, prediction, startedAt }) {
+  const recording = await storage.recordings.create({
+    user: req.user.id,
+    filename: file.filename,
+    path: file.path,
+    size: file.size,
+    mimetype: file.mimetype,
+    prediction: prediction?._id,
+    sessionId,
+    startedAt,
+    metadata: {
+      originalName: file.originalname ?? undefined,
+      encoding: file.encoding ?? undefined,
+      encrypted: encryption.enabled
+    }
+  });
+  await auditAccess(req, 'recording.create', { resourceId: recording._id });
+  return recording;
+}
+
+function publicRecording(recording) {
+  return {
+    id: recording._id,
+    filename: recording.filename,
+    url: `/recordings/${recording.filename}`,
+    size: recording.size,
+    sessionId: recording.sessionId ?? null,
+    predictionId: recording.prediction ?? null,
+    startedAt: recording.startedAt ?? null,
+    createdAt: recording.createdAt
+  };
+}
+
+function publicCalibration(calibration) {
+  const reading = calibration.prediction;
+  return {
+    id: calibration._id,
+    systolic: calibration.systolic,
+    diastolic: calibration.diastolic,
+    pulse: calibration.pulse ?? null,
+    device: calibration.device ?? null,
+    measuredAt: calibration.measuredAt,
+    prediction: reading ? {
+      id: reading._id,
+      systolic: reading.systolic,
+      diastolic: reading.diastolic,
+      raw: reading.raw || null,
+      heartRate: reading.heartRate ?? null,
+      modelVersion: reading.modelVersion,
+      timestamp: reading.timestamp
+    } : null
+  };
+}
+
+// Pair cuff readings entered before this reading was taken
+async function linkPendingCalibrations(prediction) {
+  const at = new Date(prediction.timestamp).getTime();
+  const pending = await storage.calibrations.findUnlinked(prediction.user, {
+    from: new Date(at - calibrationWindowMs),
+    to: new Date(at + calibrationWindowMs)
+  });
+  for (const calibration of pending) {
+    await storage.calibrations.link(calibration._id, prediction._id);
   }
 }
 
 async function savePrediction(data) {
-  const suggestions = generateSuggestions(data.systolic, data.diastolic);
+  // Report the model output corrected by the user's cuff pairs; the output itself is kept in raw
+  const personalCalibration = fitCalibration(await storage.calibrations.findPaired({ user: data.user }), config.calibration);
+  const reported = personalCalibration ? applyCalibration(personalCalibration, data) : data;
+  const suggestions = generateSuggestions(reported.systolic, reported.diastolic);
   
-  const prediction = new Prediction({
-    systolic: data.systolic,
-    diastolic: data.diastolic,
+  const saved = await storage.predictions.create({
+    user: data.user,
+    systolic: reported.systolic,
+    diastolic: reported.diastolic,
+    raw: { systolic: data.systolic, diastolic: data.diastolic },
+    personalCalibration: personalCalibration || undefined,
     emotion: data.emotion || 'neutral',
     suggestions,
     signal: data.signal,
-    inputData: data.inputData,
+    timestamps: data.timestamps,
+    rois: data.rois,
+    sampleRate: data.sampleRate,
+    features: data.features,
+    featureSource: data.featureSource,
+    signalQuality: data.signalQuality,
+    heartRate: data.heartRate ?? undefined,
+    modelVersion: data.modelVersion,
+    uncertainty: data.uncertainty || undefined,
+    sessionId: data.sessionId || undefined,
     userAgent: data.userAgent,
     ipAddress: data.ipAddress
   });
-
-  return await prediction.save();
+  await linkPendingCalibrations(saved);
+  // The session's video may have been uploaded before its reading was taken
+  if (saved.sessionId) {
+    await storage.recordings.linkSession(saved.user, saved.sessionId, saved._id);
+  }
+  return saved;
 }
 
 function getBpCategory(systolic, diastolic) {
@@ -515,11 +1392,100 @@ function generateSuggestions(systolic, diastolic) {
   return suggestions;
 }
 
-// Serve recording files
-app.use('/recordings', express.static(path.join(__dirname, 'uploads/recordings')));
+// Serve recording files to the user who uploaded them
+app.get('/recordings/:filename', auth.requireAuth, async (req, res) => {
+  const recording = await storage.recordings.findByFilename(req.user.id, req.params.filename);
+  if (!recording) {
+    await auditAccess(req, 'recording.read', { resourceId: req.params.filename, outcome: 'failure' });
+    return res.status(404).json({ success: false, error: 'Recording not found' });
+  }
+  await auditAccess(req, 'recording.read', { resourceId: recording._id });
+
+  try {
+    // Plaintext files get Range handling from sendFile; encrypted ones are decrypted per requested range
+    const stat = await encryption.statFile(recording.path);
+    if (!stat) {
+      return res.sendFile(path.resolve(recording.path));
+    }
+
+    res.type(recording.mimetype);
+    let range = { start: 0, end: stat.size - 1 };
+    if (stat.seekable) {
+      res.set('Accept-Ranges', 'bytes');
+      const ranges = req.headers.range ? req.range(stat.size, { combine: true }) : null;
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${stat.size}`);
+        return res.status(416).json({ success: false, error: 'Requested range not satisfiable' });
+      }
+      // Malformed or multi-part ranges get the whole file, like sendFile
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+        res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+      }
+    }
+
+    const decrypted = await encryption.openFile(recording.path, range);
+    res.set('Content-Length', Math.max(0, range.end - range.start + 1));
+    decrypted.stream.on('error', (error) => {
+      console.error('Recording decryption error:', error);
+      res.destroy(error);
+    });
+    return decrypted.stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ success: false, error: 'Recording file not found' });
+    }
+    console.error('Recording read error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to read recording' });
+  }
+});
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+  res.json({ success: true, data: { status: 'ok', uptime: process.uptime() } });
+});
+
+// Directories the server writes to while handling requests
+const writableDirs = { temp: config.tempDir, recordings: recordingsDir, partialUploads: partialUploadsDir };
+let shuttingDown = false;
+
+// Readiness: storage is connected, the default BP model can run and the upload/temp directories are writable
+app.get('/readyz', async (req, res) => {
+  const directories = await Promise.all(Object.entries(writableDirs).map(async ([name, dir]) => {
+    try {
+      await fs.promises.access(dir, fs.constants.W_OK);
+      return { name, ok: true };
+    } catch (error) {
+      return { name, ok: false, error: error.code || error.message };
+    }
+  }));
+
+  const checks = {
+    storage: { ok: storage.isReady(), backend: storage.backend },
+    model: await modelRegistry.checkReady(),
+    directories: { ok: directories.every(d => d.ok), details: directories }
+  };
+  const ready = !shuttingDown && Object.values(checks).every(check => check.ok);
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    data: { status: shuttingDown ? 'shutting_down' : ready ? 'ready' : 'not_ready', checks }
+  });
+});
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return res.status(status).json({ success: false, error: err.message, code: err.code });
+  }
+  if (err instanceof UploadError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: `Request body exceeds ${err.limit} bytes` });
+  }
+
   console.error('Server error:', err);
   res.status(500).json({
     success: false,
@@ -537,8 +1503,65 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 FacePulse: AI Blood Pressure Estimator running at http://localhost:${PORT}`);
-  console.log(`📊 MongoDB: ${process.env.MONGO_URI}`);
+const server = app.listen(PORT, () => {
+  console.log(`🚀 FacePulse: AI Blood Pressure Estimator running at http://localhost:${server.address().port}`);
+  console.log(`📊 Storage: ${storage.backend} (${storage.location})`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+});
+
+// Purge recordings and raw signals past the retention period
+const retentionTimer = startRetention(storage, config.retention);
+
+// Live rolling estimates while a recording is in progress
+const { jobs: liveJobsConfig, ...liveConfig } = config.live;
+const liveJobs = new JobQueue(liveJobsConfig);
+const liveStream = attachLiveStream(server, {
+  path: '/api/stream',
+  modelRegistry,
+  jobs: liveJobs,
+  authenticate: req => auth.currentUser(req),
+  ...liveConfig
+});
+
+/**
+ * Graceful shutdown: stop taking connections (and fail /readyz), end live
+ * streams, let queued and running prediction jobs finish, then close storage.
+ * Exits with an error if that takes longer than config.shutdown.timeoutMs.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received, shutting down...`);
+
+  setTimeout(() => {
+    console.error(`❌ Shutdown did not finish within ${config.shutdown.timeoutMs} ms, exiting`);
+    process.exit(1);
+  }, config.shutdown.timeoutMs).unref();
+
+  try {
+    const closed = new Promise(resolve => server.close(resolve));
+    for (const client of liveStream.clients) {
+      client.close(1001, 'Server shutting down');
+    }
+    liveStream.close();
+    clearInterval(retentionTimer);
+
+    await Promise.all([predictionJobs.idle(), liveJobs.idle()]);
+    await featurePool.close();
+    console.log('✅ Prediction jobs drained');
+
+    // Keep-alive connections that went quiet while the jobs ran
+    server.closeIdleConnections();
+    await closed;
+
+    await storage.close();
+    console.log(`✅ ${storage.backend} storage closed`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Shutdown failed:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
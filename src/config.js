@@ -0,0 +1,105 @@
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Runtime configuration, overridable through environment variables / .env
+const config = {
+  rootDir,
+  prediction: {
+    // One directory per model version, see src/services/model-registry.js
+    registryDir: process.env.BP_MODEL_REGISTRY || path.join(rootDir, 'model', 'registry'),
+    // Version used when a request does not ask for one (defaults to the newest)
+    defaultModel: process.env.BP_MODEL_VERSION || null,
+    // Labelled features used to calibrate prediction intervals
+    calibrationDataset: path.join(rootDir, 'model', 'python_src', 'models', 'synthetic_bp_dataset.csv'),
+    intervalLevel: parseFloat(process.env.BP_INTERVAL_LEVEL) || 0.9,
+    // Which artifact of each version serves predictions: 'node' (in-process) or 'python' (predict_bp.py)
+    backend: process.env.BP_BACKEND || 'node',
+    // Interpreter for the python backend
+    pythonBin: process.env.PYTHON_BIN || 'python3',
+    pythonScript: path.join(rootDir, 'model', 'predict_bp.py'),
+    // Longest trace accepted, in samples (10 minutes at 30 fps); feature extraction grows with it
+    maxSignalSamples: parseInt(process.env.MAX_SIGNAL_SAMPLES) || 18000,
+    // Worker threads for feature extraction, so a long trace never blocks the event loop
+    featureWorkers: parseInt(process.env.FEATURE_WORKERS) || 2
+  },
+  jobs: {
+    concurrency: parseInt(process.env.PREDICTION_CONCURRENCY) || 2,
+    timeoutMs: parseInt(process.env.PREDICTION_TIMEOUT_MS) || 30000,
+    // How long finished jobs stay pollable
+    retentionMs: parseInt(process.env.JOB_RETENTION_MS) || 10 * 60 * 1000
+  },
+  batch: {
+    // /api/predict/batch: sessions per request, and per-zip entry / request-wide inflated size limits
+    maxSessions: parseInt(process.env.BATCH_MAX_SESSIONS) || 200,
+    maxArchiveEntries: parseInt(process.env.BATCH_MAX_ARCHIVE_ENTRIES) || 1000,
+    maxUncompressedBytes: parseInt(process.env.BATCH_MAX_UNCOMPRESSED_BYTES) || 200 * 1024 * 1024
+  },
+  storage: {
+    // "mongo" or "file"; without MONGO_URI the embedded file store is used
+    backend: process.env.STORAGE_BACKEND || (process.env.MONGO_URI ? 'mongo' : 'file'),
+    mongo: {
+      uri: process.env.MONGO_URI || 'mongodb://localhost:27017/facepulse_bp',
+      dbName: 'facepulse_bp'
+    },
+    file: {
+      dataDir: process.env.DATA_DIR || path.join(rootDir, 'data')
+    }
+  },
+  auth: {
+    // Set JWT_SECRET in production so sessions survive restarts
+    jwtSecret: process.env.JWT_SECRET || null,
+    tokenTtl: process.env.JWT_TTL || '7d',
+    cookieName: 'vasovue_token',
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+    secureCookies: process.env.NODE_ENV === 'production'
+  },
+  encryption: {
+    // Master keys as "id:base64key,..." (32-byte keys, e.g. `openssl rand -base64 32`); the first one encrypts
+    keys: process.env.ENCRYPTION_KEYS || null
+  },
+  retention: {
+    // Recordings and raw signals older than this many days are purged; unset keeps them forever
+    days: parseFloat(process.env.RETENTION_DAYS) || null,
+    intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000
+  },
+  recordings: {
+    // Largest accepted webcam recording upload
+    maxBytes: parseInt(process.env.RECORDING_MAX_BYTES) || 100 * 1024 * 1024,
+    // Resumable uploads: largest part, and how long an untouched upload is kept
+    chunkBytes: parseInt(process.env.RECORDING_CHUNK_BYTES) || 1024 * 1024,
+    uploadTtlMs: parseInt(process.env.RECORDING_UPLOAD_TTL_MS) || 24 * 60 * 60 * 1000
+  },
+  calibration: {
+    // A cuff reading pairs with the VasoVue reading taken at most this long before or after it
+    pairWindowMinutes: parseFloat(process.env.CALIBRATION_WINDOW_MINUTES) || 15,
+    // Personal calibration: a pair's weight halves every halfLifeDays; slope fitted from minSlopePairs pairs
+    halfLifeDays: parseFloat(process.env.CALIBRATION_HALF_LIFE_DAYS) || 60,
+    minSlopePairs: parseInt(process.env.CALIBRATION_MIN_SLOPE_PAIRS) || 3
+  },
+  fhir: {
+    // Base URL of VasoVue's own FHIR code systems and extensions
+    systemBase: process.env.FHIR_SYSTEM_BASE || 'https://vasovue.app/fhir'
+  },
+  live: {
+    // Sliding window for streaming estimates; provisional until it has filled
+    windowSeconds: parseFloat(process.env.LIVE_WINDOW_SECONDS) || 10,
+    updateIntervalMs: parseInt(process.env.LIVE_UPDATE_INTERVAL_MS) || 1000,
+    // Live estimates run on their own queue so open streams cannot hold up /api/predict;
+    // nothing polls them, so finished jobs are dropped right away
+    jobs: {
+      concurrency: parseInt(process.env.LIVE_CONCURRENCY) || 1,
+      timeoutMs: parseInt(process.env.LIVE_TIMEOUT_MS) || 5000,
+      retentionMs: 0
+    }
+  },
+  shutdown: {
+    // On SIGTERM/SIGINT, how long to wait for requests and prediction jobs before exiting anyway
+    timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000
+  },
+  tempDir: path.join(rootDir, 'temp')
+};
+
+export default config;
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+// Password hashing and JWT sessions (httpOnly cookie for the pages, Bearer header for API clients)
+
+function readCookie(header, name) {
+  const match = (header || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+// What routes see as req.user; the role is read from the account on every request
+function toRequestUser(account) {
+  return { id: String(account._id), email: account.email, role: account.role ?? 'user' };
+}
+
+/**
+ * findUser(id) loads the account a token was issued for, so tokens of
+ * deleted accounts stop working before they expire.
+ */
+export function createAuth({ jwtSecret, tokenTtl = '7d', cookieName = 'vasovue_token', bcryptRounds = 12, secureCookies = false, findUser }) {
+  let secret = jwtSecret;
+  if (!secret) {
+    console.warn('⚠️ JWT_SECRET is not set; using a random secret, sessions end when the server restarts');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const auth = {
+    cookieName,
+
+    hashPassword(password) {
+      return bcrypt.hash(password, bcryptRounds);
+    },
+
+    verifyPassword(password, hash) {
+      return bcrypt.compare(password, hash);
+    },
+
+    // Sign a token for the user and set it as the session cookie
+    issue(res, user) {
+      const token = jwt.sign({ sub: String(user._id), email: user.email }, secret, { expiresIn: tokenTtl });
+      const { exp } = jwt.decode(token);
+      res.cookie(cookieName, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: secureCookies,
+        expires: new Date(exp * 1000)
+      });
+      return token;
+    },
+
+    clear(res) {
+      res.clearCookie(cookieName, { httpOnly: true, sameSite: 'strict', secure: secureCookies });
+    },
+
+    // { id, email } for a valid Bearer token or session cookie, else null
+    authenticate(req) {
+      const header = req.get ? req.get('Authorization') : req.headers.authorization;
+      const token = header?.startsWith('Bearer ')
+        ? header.slice(7)
+        : req.cookies?.[cookieName] ?? readCookie(req.headers.cookie, cookieName);
+      if (!token) return null;
+
+      try {
+        const payload = jwt.verify(token, secret);
+        return { id: payload.sub, email: payload.email };
+      } catch (error) {
+        return null;
+      }
+    },
+
+    // Like authenticate(), but null unless the token's account still exists
+    async currentUser(req) {
+      const user = auth.authenticate(req);
+      if (!user) return null;
+      const account = await findUser(user.id);
+      return account ? toRequestUser(account) : null;
+    },
+
+    // Express middleware: 401 unless authenticated, otherwise sets req.user
+    async requireAuth(req, res, next) {
+      const user = auth.authenticate(req);
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      const account = await findUser(user.id);
+      if (!account) {
+        auth.clear(res);
+        return res.status(401).json({ success: false, error: 'Account no longer exists' });
+      }
+      req.user = toRequestUser(account);
+      next();
+    },
+
+    // The stored role decides, never the email in the token: anyone can register an address
+    isAdmin(user) {
+      return user?.role === 'admin';
+    },
+
+    // Use after requireAuth: 403 unless the account has the admin role
+    requireAdmin(req, res, next) {
+      if (!auth.isAdmin(req.user)) {
+        return res.status(403).json({ success: false, error: 'Admin access required' });
+      }
+      next();
+    }
+  };
+
+  return auth;
+}
+
+export default createAuth;
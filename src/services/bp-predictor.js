@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import * as tf from '@tensorflow/tfjs';
+import { FEATURE_NAMES } from '../../Public/static/js/rppg-features.js';
+
+// BP predictors: every backend exposes predict(features, { signal }) -> { systolic, diastolic[, spread] }
+// and check(), which rejects when the backend could no longer serve predictions
+
+// How long the Python readiness check may take to start the interpreter
+const PYTHON_CHECK_TIMEOUT_MS = 10000;
+
+// In-process models live in memory; their artifact should still be on disk for the next restart
+const checkArtifact = (modelPath) => fs.promises.access(modelPath, fs.constants.R_OK);
+
+function standardize(features, scaler) {
+  if (!scaler) return features;
+  return features.map((value, i) => (value - scaler.mean[i]) / (scaler.scale[i] || 1));
+}
+
+function checkFeatureSchema(featureNames, source) {
+  if (featureNames && featureNames.join(',') !== FEATURE_NAMES.join(',')) {
+    throw new Error(`Model ${source} expects features [${featureNames}], extractor produces [${FEATURE_NAMES}]`);
+  }
+}
+
+// Walk one sklearn-style tree (arrays exported from tree_.*) down to its leaf value
+function evaluateTree(tree, x) {
+  let node = 0;
+  while (tree.children_left[node] !== -1) {
+    node = x[tree.feature[node]] <= tree.threshold[node]
+      ? tree.children_left[node]
+      : tree.children_right[node];
+  }
+  return tree.value[node];
+}
+
+function createTreeEnsemblePredictor(model, modelPath) {
+  if (!Array.isArray(model.trees) || model.trees.length === 0) {
+    throw new Error(`Tree ensemble ${modelPath} has no trees`);
+  }
+  checkFeatureSchema(model.feature_names, modelPath);
+
+  return {
+    backend: 'node',
+    format: 'tree-ensemble',
+    modelPath,
+    check: () => checkArtifact(modelPath),
+    async predict(features) {
+      const x = standardize(features, model.scaler);
+      const outputs = model.trees.map(tree => evaluateTree(tree, x));
+      const average = (i) => outputs.reduce((sum, out) => sum + out[i], 0) / outputs.length;
+      const spread = (i, m) => Math.sqrt(outputs.reduce((sum, out) => sum + (out[i] - m) ** 2, 0) / outputs.length);
+
+      const systolic = average(0);
+      const diastolic = average(1);
+      return {
+        systolic,
+        diastolic,
+        // Disagreement between trees, used as a per-reading standard error
+        spread: { systolic: spread(0, systolic), diastolic: spread(1, diastolic) }
+      };
+    }
+  };
+}
+
+// @tensorflow/tfjs has no file:// loader in Node, so hand the artifacts over from memory
+async function loadLayersModelFromDisk(modelJson, modelPath) {
+  const modelDir = path.dirname(modelPath);
+  const weightSpecs = [];
+  const buffers = [];
+
+  for (const group of modelJson.weightsManifest || []) {
+    weightSpecs.push(...group.weights);
+    for (const shard of group.paths) {
+      buffers.push(await fs.promises.readFile(path.join(modelDir, shard)));
+    }
+  }
+
+  const weightData = Buffer.concat(buffers);
+  return tf.loadLayersModel(tf.io.fromMemory({
+    modelTopology: modelJson.modelTopology,
+    weightSpecs,
+    weightData: weightData.buffer.slice(weightData.byteOffset, weightData.byteOffset + weightData.byteLength)
+  }));
+}
+
+async function createLayersPredictor(modelJson, modelPath) {
+  const metadata = modelJson.userDefinedMetadata || {};
+  checkFeatureSchema(metadata.feature_names, modelPath);
+
+  const layersModel = await loadLayersModelFromDisk(modelJson, modelPath);
+
+  return {
+    backend: 'node',
+    format: 'tfjs-layers',
+    modelPath,
+    check: () => checkArtifact(modelPath),
+    async predict(features) {
+      const input = tf.tensor2d([standardize(features, metadata.scaler)]);
+      const output = layersModel.predict(input);
+      const [systolic, diastolic] = await output.data();
+      input.dispose();
+      output.dispose();
+      return { systolic, diastolic };
+    }
+  };
+}
+
+function createPythonPredictor({ pythonBin, pythonScript, modelPath }) {
+  return {
+    backend: 'python',
+    format: 'joblib',
+    modelPath,
+    // The pickle and script are readable and the interpreter has predict_bp.py's imports
+    async check() {
+      await Promise.all([modelPath, pythonScript].map(checkArtifact));
+      await new Promise((resolve, reject) => {
+        const child = spawn(pythonBin, ['-c', 'import joblib, numpy, sklearn'], { timeout: PYTHON_CHECK_TIMEOUT_MS });
+        let stderr = '';
+        child.stderr.on('data', (data) => stderr += data.toString());
+        child.on('error', (error) => reject(new Error(`${pythonBin} could not run: ${error.message}`)));
+        child.on('close', (code) => {
+          if (code === 0) return resolve();
+          reject(new Error(`${pythonBin} cannot load the model dependencies: ${stderr.trim() || `exit code ${code}`}`));
+        });
+      });
+    },
+    // Runs predict_bp.py without blocking the event loop; aborting kills the process
+    predict(features, { signal } = {}) {
+      return new Promise((resolve, reject) => {
+        const child = spawn(pythonBin, [pythonScript, JSON.stringify(features)], {
+          env: { ...process.env, BP_MODEL_PKL: modelPath },
+          signal
+        });
+
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (data) => stdout += data.toString());
+        child.stderr.on('data', (data) => stderr += data.toString());
+
+        child.on('error', (error) => {
+          reject(new Error(`predict_bp.py could not run: ${error.message}`));
+        });
+
+        child.on('close', (code) => {
+          if (code !== 0) {
+            return reject(new Error(`predict_bp.py error: ${stderr || stdout}`));
+          }
+          try {
+            resolve(JSON.parse(stdout.trim()));
+          } catch (e) {
+            reject(new Error('Failed to parse prediction output: ' + stdout));
+          }
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Load one BP model artifact. The Node backend detects the artifact
+ * format from the JSON it reads; the Python backend expects a joblib pickle.
+ */
+export async function createPredictor(options) {
+  if (options.backend === 'python') {
+    return createPythonPredictor(options);
+  }
+  if (options.backend !== 'node') {
+    throw new Error(`Unknown prediction backend: ${options.backend}`);
+  }
+
+  const modelJson = JSON.parse(await fs.promises.readFile(options.modelPath, 'utf8'));
+  if (modelJson.modelTopology) {
+    return createLayersPredictor(modelJson, options.modelPath);
+  }
+  return createTreeEnsemblePredictor(modelJson, options.modelPath);
+}
+
+export default { createPredictor };
@@ -0,0 +1,142 @@
+import { FEATURE_NAMES } from '../../Public/static/js/rppg-features.js';
+import { BP_LIMITS, PULSE_LIMITS, FEATURE_SOURCES } from '../storage/records.js';
+
+// Column layout of model/python_src/models/synthetic_bp_dataset.csv
+export const DATASET_COLUMNS = [...FEATURE_NAMES, 'systolic_BP', 'diastolic_BP'];
+
+const inRange = (value, { min, max }) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Check a cuff reading from the request body.
+ * @returns {{ error: string } | { systolic, diastolic, pulse, measuredAt, device, predictionId }}
+ */
+export function validateCuffReading({ systolic, diastolic, pulse, measuredAt, device, predictionId }) {
+  if (!inRange(systolic, BP_LIMITS.systolic)) {
+    return { error: `systolic must be a number between ${BP_LIMITS.systolic.min} and ${BP_LIMITS.systolic.max} mmHg` };
+  }
+  if (!inRange(diastolic, BP_LIMITS.diastolic)) {
+    return { error: `diastolic must be a number between ${BP_LIMITS.diastolic.min} and ${BP_LIMITS.diastolic.max} mmHg` };
+  }
+  if (diastolic >= systolic) {
+    return { error: 'diastolic must be lower than systolic' };
+  }
+  if (pulse != null && !inRange(pulse, PULSE_LIMITS)) {
+    return { error: `pulse must be a number between ${PULSE_LIMITS.min} and ${PULSE_LIMITS.max} BPM` };
+  }
+
+  const at = measuredAt ? new Date(measuredAt) : new Date();
+  if (isNaN(at) || at > new Date(Date.now() + 60 * 1000)) {
+    return { error: 'measuredAt must be a date that is not in the future' };
+  }
+  if (device != null && (typeof device !== 'string' || device.length > 100)) {
+    return { error: 'device must be text of at most 100 characters' };
+  }
+  if (predictionId != null && typeof predictionId !== 'string') {
+    return { error: 'predictionId must be a string' };
+  }
+
+  return { systolic, diastolic, pulse: pulse ?? undefined, measuredAt: at, device: device?.trim() || undefined, predictionId };
+}
+
+// The reading taken closest to `at`, or null
+export function nearestReading(readings, at) {
+  let nearest = null;
+  for (const reading of readings) {
+    const distance = Math.abs(new Date(reading.timestamp) - at);
+    if (!nearest || distance < nearest.distance) nearest = { reading, distance };
+  }
+  return nearest?.reading ?? null;
+}
+
+export { FEATURE_SOURCES };
+
+/**
+ * Training rows: features of the paired reading labelled with the cuff values.
+ * Only readings whose features came from featureSource are included, so one
+ * export never mixes raw-trace and bandpassed features.
+ */
+export function toDatasetRows(calibrations, { featureSource = 'raw' } = {}) {
+  return calibrations
+    .filter(c => Array.isArray(c.prediction?.features) && c.prediction.features.length === FEATURE_NAMES.length)
+    .filter(c => (c.prediction.featureSource ?? 'raw') === featureSource)
+    .map(c => ({
+      ...Object.fromEntries(FEATURE_NAMES.map((name, i) => [name, c.prediction.features[i]])),
+      systolic_BP: c.systolic,
+      diastolic_BP: c.diastolic
+    }));
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A slope needs raw readings spread at least this much (weighted SD, mmHg) ...
+const MIN_SLOPE_SPREAD = 5;
+// ... and one outside this range means the pairs are too noisy to trust more than an offset
+const SLOPE_RANGE = { min: 0.5, max: 1.5 };
+
+function weightedMean(points, value) {
+  const total = points.reduce((sum, p) => sum + p.weight, 0);
+  return points.reduce((sum, p) => sum + p.weight * value(p), 0) / total;
+}
+
+function fitOffset(points) {
+  return { offset: weightedMean(points, p => p.cuff - p.raw), slope: 1 };
+}
+
+// Weighted least-squares line, or null when the pairs cannot support a slope
+function fitLine(points) {
+  const meanRaw = weightedMean(points, p => p.raw);
+  const meanCuff = weightedMean(points, p => p.cuff);
+  const varRaw = weightedMean(points, p => (p.raw - meanRaw) ** 2);
+  if (varRaw < MIN_SLOPE_SPREAD ** 2) return null;
+
+  const slope = weightedMean(points, p => (p.raw - meanRaw) * (p.cuff - meanCuff)) / varRaw;
+  if (slope < SLOPE_RANGE.min || slope > SLOPE_RANGE.max) return null;
+  return { offset: meanCuff - slope * meanRaw, slope };
+}
+
+/**
+ * Personal correction cuff ≈ offset + slope * raw, fitted per component by
+ * weighted least squares over a user's paired calibrations. Each pair weighs
+ * half as much every `halfLifeDays`; a slope is only fitted from
+ * `minSlopePairs` pairs on, and both components fall back to an offset when
+ * either slope is not trustworthy. Returns null without pairs.
+ */
+export function fitCalibration(calibrations, { halfLifeDays, minSlopePairs, now = new Date() }) {
+  const pairs = calibrations.filter(c => c.prediction);
+  if (pairs.length === 0) return null;
+
+  const describe = (method, systolic, diastolic) => ({
+    method,
+    pairs: pairs.length,
+    calibratedAt: new Date(Math.max(...pairs.map(c => new Date(c.measuredAt)))),
+    systolic,
+    diastolic
+  });
+
+  const points = (field) => pairs.map(c => ({
+    // Readings taken while calibrated keep the model output in `raw`
+    raw: (c.prediction.raw || c.prediction)[field],
+    cuff: c[field],
+    weight: 0.5 ** (Math.max(0, now - new Date(c.measuredAt)) / DAY_MS / halfLifeDays)
+  }));
+
+  const systolicPoints = points('systolic');
+  const diastolicPoints = points('diastolic');
+  if (pairs.length >= minSlopePairs) {
+    const systolic = fitLine(systolicPoints);
+    const diastolic = fitLine(diastolicPoints);
+    if (systolic && diastolic) return describe('offset+slope', systolic, diastolic);
+  }
+  return describe('offset', fitOffset(systolicPoints), fitOffset(diastolicPoints));
+}
+
+// Calibrated { systolic, diastolic } for a raw model output
+export function applyCalibration(calibration, { systolic, diastolic }) {
+  const correct = (value, { offset, slope }, { min, max }) => Math.min(max, Math.max(min, offset + slope * value));
+  return {
+    systolic: correct(systolic, calibration.systolic, BP_LIMITS.systolic),
+    diastolic: correct(diastolic, calibration.diastolic, BP_LIMITS.diastolic)
+  };
+}
+
+export default { DATASET_COLUMNS, validateCuffReading, nearestReading, toDatasetRows, fitCalibration, applyCalibration };
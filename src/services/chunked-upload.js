@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4, validate as isUuid } from 'uuid';
+import { RECORDING_MIME_TYPES, WEBM_SIGNATURE, UploadError, checkSignature } from './recording-upload.js';
+
+const SHA256_HEX = /^[0-9a-f]{64}$/;
+
+/**
+ * Resumable recording uploads: `create` with the final size and SHA-256,
+ * `appendPart` at the offset received so far, then `complete` to assemble,
+ * verify and move the video next to the other recordings. Every upload is a
+ * directory holding upload.json and one file per part (encrypted like
+ * recordings when keys are set), so it survives restarts and page reloads;
+ * uploads untouched for `ttlMs` are dropped.
+ */
+export function createChunkedUploads({ directory, recordingsDir, encryption, maxBytes, chunkBytes, ttlMs }) {
+  const locks = new Map();
+  const uploadDir = (id) => path.join(directory, id);
+  const manifestPath = (id) => path.join(uploadDir(id), 'upload.json');
+  const partPath = (id, index) => path.join(uploadDir(id), `${String(index).padStart(6, '0')}.part`);
+  const encrypting = () => encryption.enabled ? encryption.encryptStream() : new PassThrough();
+
+  // Operations on one upload run one after another
+  function withLock(id, task) {
+    const run = (locks.get(id) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    locks.set(id, tail);
+    tail.then(() => {
+      if (locks.get(id) === tail) locks.delete(id);
+    });
+    return run;
+  }
+
+  async function readManifest(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(manifestPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function writeManifest(upload) {
+    const temp = `${manifestPath(upload.id)}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(upload));
+    await fs.promises.rename(temp, manifestPath(upload.id));
+  }
+
+  const remove = (id) => fs.promises.rm(uploadDir(id), { recursive: true, force: true });
+
+  // The user's upload with this id, or null
+  async function get(userId, id) {
+    if (typeof id !== 'string' || !isUuid(id)) return null;
+    const upload = await readManifest(id);
+    return upload && upload.user === String(userId) ? upload : null;
+  }
+
+  async function purgeStale(now = Date.now()) {
+    const entries = await fs.promises.readdir(directory).catch(() => []);
+    for (const id of entries.filter(entry => isUuid(entry))) {
+      const upload = await readManifest(id).catch(() => null);
+      if (!upload || now - new Date(upload.updatedAt) > ttlMs) await remove(id);
+    }
+  }
+
+  return {
+    chunkBytes,
+    get,
+    purgeStale,
+
+    async create(userId, { size, checksum, mimetype, sessionId, predictionId, startedAt }) {
+      if (!Number.isInteger(size) || size <= 0) {
+        throw new UploadError('size must be the file size in bytes');
+      }
+      if (size > maxBytes) {
+        throw new UploadError(`Recording exceeds ${maxBytes} bytes`, 413);
+      }
+      if (typeof checksum !== 'string' || !SHA256_HEX.test(checksum.toLowerCase())) {
+        throw new UploadError('checksum must be the hex SHA-256 of the file');
+      }
+      const type = typeof mimetype === 'string' ? mimetype.split(';')[0].trim().toLowerCase() : '';
+      if (!RECORDING_MIME_TYPES.includes(type)) {
+        throw new UploadError(`Unsupported recording type: ${mimetype} (expected ${RECORDING_MIME_TYPES.join(', ')})`, 415);
+      }
+
+      await purgeStale();
+      const now = new Date().toISOString();
+      const upload = {
+        id: uuidv4(),
+        user: String(userId),
+        size,
+        checksum: checksum.toLowerCase(),
+        mimetype,
+        sessionId: sessionId || null,
+        predictionId: predictionId ? String(predictionId) : null,
+        startedAt: startedAt ? startedAt.toISOString() : null,
+        received: 0,
+        parts: 0,
+        createdAt: now,
+        updatedAt: now
+      };
+      await fs.promises.mkdir(uploadDir(upload.id), { recursive: true });
+      await writeManifest(upload);
+      return upload;
+    },
+
+    // Store the bytes at `offset`, which must equal what was received so far; null for an unknown upload
+    appendPart(userId, id, offset, chunk) {
+      return withLock(id, async () => {
+        const upload = await get(userId, id);
+        if (!upload) return null;
+        if (offset !== upload.received) {
+          throw new UploadError(`Expected offset ${upload.received}`, 409);
+        }
+        if (chunk.length === 0 || chunk.length > chunkBytes) {
+          throw new UploadError(`Parts must be between 1 and ${chunkBytes} bytes`);
+        }
+        if (upload.received + chunk.length > upload.size) {
+          throw new UploadError('Part runs past the declared size');
+        }
+
+        await pipeline(Readable.from([chunk]), encrypting(), fs.createWriteStream(partPath(id, upload.parts)));
+        upload.parts += 1;
+        upload.received += chunk.length;
+        upload.updatedAt = new Date().toISOString();
+        await writeManifest(upload);
+        return upload;
+      });
+    },
+
+    /**
+     * Assemble the parts into a new recording file after checking the WebM
+     * signature and the checksum. Resolves to { upload, file } or null for an
+     * unknown upload; a file that fails verification discards the upload.
+     */
+    complete(userId, id) {
+      return withLock(id, async () => {
+        const upload = await get(userId, id);
+        if (!upload) return null;
+        if (upload.received !== upload.size) {
+          throw new UploadError(`Upload is incomplete: ${upload.received} of ${upload.size} bytes received`, 409);
+        }
+
+        const hash = crypto.createHash('sha256');
+        async function* parts() {
+          for (let index = 0; index < upload.parts; index++) {
+            const chunk = await encryption.readFile(partPath(id, index));
+            hash.update(chunk);
+            yield chunk;
+          }
+        }
+
+        const filename = `${uuidv4()}.webm`;
+        const filePath = path.join(recordingsDir, filename);
+        try {
+          await pipeline(Readable.from(parts()), checkSignature(WEBM_SIGNATURE), encrypting(), fs.createWriteStream(filePath));
+          if (hash.digest('hex') !== upload.checksum) {
+            throw new UploadError('Checksum mismatch: the assembled file differs from the one sent', 422);
+          }
+        } catch (error) {
+          await fs.promises.rm(filePath, { force: true });
+          if (error instanceof UploadError) await remove(id);
+          throw error;
+        }
+
+        await remove(id);
+        return { upload, file: { filename, path: filePath, size: upload.size, mimetype: upload.mimetype } };
+      });
+    },
+
+    abort(userId, id) {
+      return withLock(id, async () => {
+        if (!(await get(userId, id))) return false;
+        await remove(id);
+        return true;
+      });
+    },
+
+    // Drop every unfinished upload of the user (account deletion); resolves to how many
+    async deleteByUser(userId) {
+      const entries = await fs.promises.readdir(directory).catch(() => []);
+      let deleted = 0;
+      for (const id of entries.filter(entry => isUuid(entry))) {
+        const removed = await withLock(id, async () => {
+          if (!(await get(userId, id))) return false;
+          await remove(id);
+          return true;
+        });
+        if (removed) deleted++;
+      }
+      return deleted;
+    }
+  };
+}
+
+export default createChunkedUploads;
@@ -0,0 +1,78 @@
+import { CONSENT_SCOPES } from '../storage/records.js';
+
+/**
+ * Consent texts, oldest version first per scope. Each version carries its
+ * own publication date; publishing a new version makes earlier consents
+ * for that scope lapse until the user agrees again.
+ */
+const TEXTS = {
+  video_storage: [
+    {
+      version: '1',
+      publishedAt: '2026-10-19',
+      title: 'Store my face video',
+      text: 'VasoVue keeps the webcam video of this reading so you can watch it again later. ' +
+        'Only you can open it, and you can delete it at any time. ' +
+        'Without this consent the reading still works, but no video is uploaded.'
+    }
+  ],
+  signal_storage: [
+    {
+      version: '1',
+      publishedAt: '2026-10-19',
+      title: 'Store my pulse signal and readings',
+      text: 'VasoVue stores the pulse signal measured from your face together with the blood pressure ' +
+        'estimated from it, so it can show your results and history. ' +
+        'This is health data; you can export or delete it at any time.'
+    }
+  ],
+  research: [
+    {
+      version: '1',
+      publishedAt: '2026-10-19',
+      title: 'Use my readings for research',
+      text: 'Your stored readings may be used, without your name or email, to evaluate and improve the ' +
+        'blood pressure models. This is optional and does not affect your results.'
+    }
+  ]
+};
+
+export const CONSENT_TEXTS = Object.fromEntries(Object.entries(TEXTS).map(([scope, versions]) => [
+  scope,
+  versions.map(text => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text.publishedAt ?? '')) {
+      throw new Error(`Consent text ${scope} v${text.version} needs a publishedAt date (YYYY-MM-DD)`);
+    }
+    return { version: text.version, publishedAt: text.publishedAt, title: text.title, text: text.text };
+  })
+]));
+
+export { CONSENT_SCOPES };
+
+export function currentConsentText(scope) {
+  const versions = CONSENT_TEXTS[scope];
+  return versions ? versions[versions.length - 1] : null;
+}
+
+/**
+ * Where a user stands per scope, from their consent records (newest first).
+ * `valid` only when the latest decision grants the current text version.
+ */
+export function consentStatus(records) {
+  return Object.fromEntries(CONSENT_SCOPES.map(scope => {
+    const latest = records.find(record => record.scope === scope) || null;
+    const current = currentConsentText(scope);
+    return [scope, {
+      scope,
+      ...current,
+      decision: latest && {
+        granted: latest.granted,
+        version: latest.version,
+        timestamp: latest.timestamp
+      },
+      valid: Boolean(latest?.granted && latest.version === current.version)
+    }];
+  }));
+}
+
+export default { CONSENT_TEXTS, CONSENT_SCOPES, currentConsentText, consentStatus };
@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable, Transform, pipeline as pipelineCallback } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Encrypted files: magic, header length (uint32 BE), JSON header, then
+// VVE2: chunks of up to chunkSize plaintext bytes, each sealed as ciphertext | auth tag,
+//       so a byte range can be decrypted (and authenticated) without reading the whole file
+// VVE1: one ciphertext and a single auth tag at the end (written before VVE2, still readable)
+const FILE_MAGIC = Buffer.from('VVE2');
+const FILE_MAGIC_V1 = Buffer.from('VVE1');
+const FILE_PREFIX_BYTES = FILE_MAGIC.length + 4;
+const FILE_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Parse "id:base64key,id:base64key"; the first key encrypts new data,
+ * the others are only kept to decrypt data that has not been rotated yet.
+ */
+export function parseMasterKeys(spec) {
+  const keys = new Map();
+  for (const entry of (spec || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator <= 0 || key.length !== KEY_BYTES) {
+      throw new Error(`Invalid master key "${id || entry.slice(0, 8)}": expected id:<${KEY_BYTES} bytes base64>`);
+    }
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+// iv | tag | ciphertext
+function gcmSeal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function gcmOpen(key, sealed) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// File chunk nonce: the file IV with the chunk index mixed into its last 4 bytes.
+// The index and a final-chunk flag are authenticated, so chunks cannot be reordered or cut off.
+function chunkParams(iv, index, final) {
+  const nonce = Buffer.from(iv);
+  nonce.writeUInt32BE((nonce.readUInt32BE(IV_BYTES - 4) ^ index) >>> 0, IV_BYTES - 4);
+  const aad = Buffer.alloc(5);
+  aad.writeUInt32BE(index);
+  aad.writeUInt8(final ? 1 : 0, 4);
+  return { nonce, aad };
+}
+
+// ciphertext | tag
+function sealChunk(key, iv, index, final, plaintext) {
+  const { nonce, aad } = chunkParams(iv, index, final);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, nonce);
+  cipher.setAAD(aad);
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openChunk(key, iv, index, final, sealed) {
+  const { nonce, aad } = chunkParams(iv, index, final);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, nonce);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Envelope encryption: every record and file gets its own random data key,
+ * stored next to the ciphertext wrapped under a master key.
+ */
+export function createEncryption({ keys }) {
+  const masterKeys = parseMasterKeys(keys);
+  const [activeKeyId] = masterKeys.keys();
+  if (!activeKeyId) {
+    console.warn('⚠️ ENCRYPTION_KEYS is not set; signals and recordings are stored unencrypted');
+  }
+
+  function masterKey(keyId) {
+    const key = masterKeys.get(keyId);
+    if (!key) throw new Error(`Master key "${keyId}" is not configured`);
+    return key;
+  }
+
+  function newDataKey() {
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    return {
+      dataKey,
+      keyId: activeKeyId,
+      wrappedKey: gcmSeal(masterKey(activeKeyId), dataKey).toString('base64')
+    };
+  }
+
+  const unwrap = ({ keyId, wrappedKey }) => gcmOpen(masterKey(keyId), Buffer.from(wrappedKey, 'base64'));
+
+  /**
+   * Header of an encrypted file, or null for a plaintext one. size is the
+   * plaintext length; VVE2 files also report chunkCount, VVE1 files their tag.
+   */
+  async function readFileHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const prefix = Buffer.alloc(FILE_PREFIX_BYTES);
+      await handle.read(prefix, 0, FILE_PREFIX_BYTES, 0);
+      const magic = prefix.subarray(0, FILE_MAGIC.length);
+      const chunked = magic.equals(FILE_MAGIC);
+      if (size < FILE_PREFIX_BYTES + TAG_BYTES || !(chunked || magic.equals(FILE_MAGIC_V1))) {
+        return null;
+      }
+
+      const headerBytes = Buffer.alloc(prefix.readUInt32BE(FILE_MAGIC.length));
+      await handle.read(headerBytes, 0, headerBytes.length, FILE_PREFIX_BYTES);
+      const header = JSON.parse(headerBytes.toString('utf8'));
+      const start = FILE_PREFIX_BYTES + headerBytes.length;
+      const body = size - start;
+
+      if (chunked) {
+        const sealedChunkBytes = header.chunkSize + TAG_BYTES;
+        const chunkCount = Math.max(1, Math.ceil(body / sealedChunkBytes));
+        if (body - (chunkCount - 1) * sealedChunkBytes < TAG_BYTES) {
+          throw new Error(`Encrypted file ${filePath} is truncated`);
+        }
+        return { ...header, chunked, start, chunkCount, size: body - chunkCount * TAG_BYTES };
+      }
+
+      const tag = Buffer.alloc(TAG_BYTES);
+      await handle.read(tag, 0, TAG_BYTES, size - TAG_BYTES);
+      return { ...header, chunked, tag, start, size: body - TAG_BYTES };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Plaintext bytes start..end (inclusive) of a VVE2 file, one decrypted chunk at a time
+  async function* readChunks(filePath, header, start, end) {
+    const key = unwrap(header);
+    const iv = Buffer.from(header.iv, 'base64');
+    const sealedChunkBytes = header.chunkSize + TAG_BYTES;
+    const first = Math.floor(start / header.chunkSize);
+    const last = Math.min(header.chunkCount - 1, Math.floor(end / header.chunkSize));
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      for (let index = first; index <= last; index++) {
+        const final = index === header.chunkCount - 1;
+        const sealed = Buffer.alloc(final
+          ? header.size - index * header.chunkSize + TAG_BYTES
+          : sealedChunkBytes);
+        await handle.read(sealed, 0, sealed.length, header.start + index * sealedChunkBytes);
+
+        const plaintext = openChunk(key, iv, index, final, sealed);
+        const offset = index * header.chunkSize;
+        yield plaintext.subarray(Math.max(0, start - offset), end - offset + 1);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  const encryption = {
+    enabled: Boolean(activeKeyId),
+    activeKeyId,
+
+    // JSON-serializable envelope for a value stored inside a record
+    sealJson(value) {
+      const { dataKey, keyId, wrappedKey } = newDataKey();
+      const data = gcmSeal(dataKey, Buffer.from(JSON.stringify(value)));
+      return { keyId, wrappedKey, data: data.toString('base64') };
+    },
+
+    openJson(envelope) {
+      return JSON.parse(gcmOpen(unwrap(envelope), Buffer.from(envelope.data, 'base64')).toString('utf8'));
+    },
+
+    // Transform that turns a plaintext stream into the (chunked) encrypted file format
+    encryptStream() {
+      const { dataKey, keyId, wrappedKey } = newDataKey();
+      const iv = crypto.randomBytes(IV_BYTES);
+      const header = Buffer.from(JSON.stringify({ keyId, wrappedKey, iv: iv.toString('base64'), chunkSize: FILE_CHUNK_BYTES }));
+      const headerLength = Buffer.alloc(4);
+      headerLength.writeUInt32BE(header.length);
+      let started = false;
+      let pending = Buffer.alloc(0);
+      let index = 0;
+
+      const start = (stream) => {
+        if (!started) stream.push(Buffer.concat([FILE_MAGIC, headerLength, header]));
+        started = true;
+      };
+      const seal = (plaintext, final) => sealChunk(dataKey, iv, index++, final, plaintext);
+
+      return new Transform({
+        transform(chunk, encoding, callback) {
+          start(this);
+          pending = Buffer.concat([pending, chunk]);
+          // Hold back a full chunk: only flush knows which one is final
+          while (pending.length > FILE_CHUNK_BYTES) {
+            this.push(seal(pending.subarray(0, FILE_CHUNK_BYTES), false));
+            pending = pending.subarray(FILE_CHUNK_BYTES);
+          }
+          callback();
+        },
+        flush(callback) {
+          start(this);
+          callback(null, seal(pending, true));
+        }
+      });
+    },
+
+    // { size, seekable } of an encrypted file's plaintext, or null when the file is not encrypted
+    async statFile(filePath) {
+      const header = await readFileHeader(filePath);
+      return header && { size: header.size, seekable: header.chunked };
+    },
+
+    /**
+     * { stream, size } of decrypted content, or null when the file is not
+     * encrypted. With { start, end } (inclusive, like fs.createReadStream) the
+     * stream holds only that range; check statFile().seekable first, VVE1
+     * files can only be read whole.
+     */
+    async openFile(filePath, { start = 0, end = Infinity } = {}) {
+      const header = await readFileHeader(filePath);
+      if (!header) return null;
+
+      if (header.chunked) {
+        return { stream: Readable.from(readChunks(filePath, header, start, Math.min(end, header.size - 1))), size: header.size };
+      }
+      if (start !== 0 || end < header.size - 1) {
+        throw new Error(`Encrypted file ${filePath} is not seekable; re-encrypt it with rotate-keys`);
+      }
+
+      const decipher = crypto.createDecipheriv(ALGORITHM, unwrap(header), Buffer.from(header.iv, 'base64'));
+      decipher.setAuthTag(header.tag);
+      const source = header.size > 0
+        ? fs.createReadStream(filePath, { start: header.start, end: header.start + header.size - 1 })
+        : Readable.from([]);
+      return { stream: pipelineCallback(source, decipher, () => {}), size: header.size };
+    },
+
+    // Whole plaintext of a file, encrypted or not
+    async readFile(filePath) {
+      const opened = await encryption.openFile(filePath);
+      if (!opened) return fs.promises.readFile(filePath);
+      return Buffer.concat(await opened.stream.toArray());
+    },
+
+    // Re-encrypt a file in place under a fresh data key and the active master key
+    async reencryptFile(filePath) {
+      const opened = await encryption.openFile(filePath);
+      const source = opened ? opened.stream : fs.createReadStream(filePath);
+      const temp = `${filePath}.${process.pid}.tmp`;
+      try {
+        await pipeline(source, encryption.encryptStream(), fs.createWriteStream(temp));
+        await fs.promises.rename(temp, filePath);
+      } catch (error) {
+        await fs.promises.rm(temp, { force: true });
+        throw error;
+      }
+    }
+  };
+
+  return encryption;
+}
+
+export default createEncryption;
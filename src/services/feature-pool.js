@@ -0,0 +1,91 @@
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./feature-worker.js', import.meta.url);
+
+/**
+ * Worker threads running analyzeSignal (rppg-features.js) off the event
+ * loop, at most `size` at once; further calls wait their turn. Aborting a
+ * call that is running terminates its worker, so a job timeout frees the
+ * thread instead of leaving it computing, and a fresh worker takes its
+ * place for the next call.
+ */
+export class FeaturePool {
+  constructor({ size = 2 } = {}) {
+    this.size = size;
+    this.workers = new Set();
+    this.idle = [];
+    this.waiting = [];
+  }
+
+  // Resolves with { features, signalQuality, heartRate }; rejects with the abort reason when `signal` fires
+  analyze(values, sampleRate, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+
+      const task = { values, sampleRate, resolve, reject, worker: null };
+      signal?.addEventListener('abort', () => this.abort(task, signal.reason), { once: true });
+      this.waiting.push(task);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.waiting.length > 0 && (this.idle.length > 0 || this.workers.size < this.size)) {
+      const worker = this.idle.pop() || this.spawn();
+      const task = this.waiting.shift();
+      task.worker = worker;
+      worker.task = task;
+      worker.postMessage({ signal: task.values, sampleRate: task.sampleRate });
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(WORKER_URL);
+    worker.task = null;
+    // Idle workers must not keep the process alive
+    worker.unref();
+
+    worker.on('message', ({ result, error }) => {
+      const task = worker.task;
+      if (!task) return;
+      worker.task = null;
+      this.idle.push(worker);
+      if (error) task.reject(new Error(error));
+      else task.resolve(result);
+      this.dispatch();
+    });
+    worker.on('error', (error) => {
+      worker.task?.reject(error);
+      worker.task = null;
+    });
+    worker.on('exit', () => {
+      this.workers.delete(worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      worker.task?.reject(new Error('Feature worker exited'));
+      worker.task = null;
+      this.dispatch();
+    });
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  abort(task, reason) {
+    if (task.worker) {
+      if (task.worker.task !== task) return;
+      task.worker.task = null;
+      task.worker.terminate();
+    } else {
+      this.waiting = this.waiting.filter(t => t !== task);
+    }
+    task.reject(reason);
+  }
+
+  async close() {
+    for (const task of this.waiting) task.reject(new Error('Feature pool closed'));
+    this.waiting = [];
+    await Promise.all([...this.workers].map(worker => worker.terminate()));
+  }
+}
+
+export default FeaturePool;
@@ -0,0 +1,11 @@
+import { parentPort } from 'worker_threads';
+import { analyzeSignal } from '../../Public/static/js/rppg-features.js';
+
+// One analyzeSignal call per message, see FeaturePool
+parentPort.on('message', ({ signal, sampleRate }) => {
+  try {
+    parentPort.postMessage({ result: analyzeSignal(signal, sampleRate) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
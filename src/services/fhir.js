@@ -0,0 +1,174 @@
+// FHIR R4 rendering of stored readings (vital-signs blood pressure Observations)
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const BP_PROFILE = 'http://hl7.org/fhir/StructureDefinition/bp';
+
+export const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+const round = (value) => Math.round(value * 10) / 10;
+const mmHg = (value) => ({ value: round(value), unit: 'mmHg', system: UCUM, code: 'mm[Hg]' });
+
+const loinc = (code, display) => ({ coding: [{ system: LOINC, code, display }], text: display });
+
+/**
+ * One blood pressure panel (LOINC 85354-9) per reading, with systolic and
+ * diastolic components and heart rate when it was measured. Extensions and
+ * `method` mark the values as a camera-based estimate rather than a cuff
+ * measurement. `systemBase` is the URL our own code systems live under.
+ */
+export function predictionToObservation(prediction, { systemBase, user }) {
+  const id = String(prediction._id);
+  const estimate = {
+    coding: [{
+      system: `${systemBase}/CodeSystem/estimation-method`,
+      code: 'camera-rppg',
+      display: 'Camera-based rPPG estimate'
+    }],
+    text: 'Estimated from facial video (remote photoplethysmography), not measured with a cuff'
+  };
+
+  const extension = [
+    {
+      url: `${systemBase}/StructureDefinition/estimation-device`,
+      valueCodeableConcept: {
+        coding: [{ system: `${systemBase}/CodeSystem/device-type`, code: 'webcam', display: 'Consumer webcam' }]
+      }
+    },
+    { url: `${systemBase}/StructureDefinition/estimation-method`, valueCodeableConcept: estimate }
+  ];
+  if (prediction.modelVersion) {
+    extension.push({ url: `${systemBase}/StructureDefinition/model-version`, valueString: prediction.modelVersion });
+  }
+  if (prediction.personalCalibration) {
+    // Values were corrected with the user's own cuff readings, last paired at this time
+    extension.push({
+      url: `${systemBase}/StructureDefinition/personal-calibration`,
+      valueDateTime: new Date(prediction.personalCalibration.calibratedAt).toISOString()
+    });
+  }
+  if (typeof prediction.signalQuality === 'number') {
+    extension.push({ url: `${systemBase}/StructureDefinition/signal-quality`, valueDecimal: round(prediction.signalQuality) });
+  }
+
+  const component = [
+    { code: loinc('8480-6', 'Systolic blood pressure'), valueQuantity: mmHg(prediction.systolic) },
+    { code: loinc('8462-4', 'Diastolic blood pressure'), valueQuantity: mmHg(prediction.diastolic) }
+  ];
+  if (typeof prediction.heartRate === 'number') {
+    component.push({
+      code: loinc('8867-4', 'Heart rate'),
+      valueQuantity: { value: round(prediction.heartRate), unit: 'beats/minute', system: UCUM, code: '/min' }
+    });
+  }
+
+  const observation = {
+    resourceType: 'Observation',
+    id,
+    meta: { profile: [BP_PROFILE], lastUpdated: new Date(prediction.updatedAt || prediction.timestamp).toISOString() },
+    extension,
+    status: 'final',
+    category: [{
+      coding: [{ system: OBSERVATION_CATEGORY, code: 'vital-signs', display: 'Vital Signs' }],
+      text: 'Vital Signs'
+    }],
+    code: loinc('85354-9', 'Blood pressure panel with all children optional'),
+    subject: { reference: `Patient/${prediction.user}`, display: user?.name || user?.email },
+    effectiveDateTime: new Date(prediction.timestamp).toISOString(),
+    issued: new Date(prediction.createdAt || prediction.timestamp).toISOString(),
+    method: estimate,
+    device: { display: `VasoVue rPPG estimator${prediction.modelVersion ? ` (model ${prediction.modelVersion})` : ''}` },
+    component
+  };
+
+  const { uncertainty } = prediction;
+  if (uncertainty?.systolicMargin != null) {
+    const level = Math.round((uncertainty.level || 0) * 100);
+    observation.note = [{
+      text: `${level}% prediction interval: systolic ±${round(uncertainty.systolicMargin)} mmHg, ` +
+        `diastolic ±${round(uncertainty.diastolicMargin)} mmHg`
+    }];
+  }
+
+  return observation;
+}
+
+// Search URL of another page: same parameters, different _offset
+function pageUrl(selfUrl, offset, count) {
+  const url = new URL(selfUrl);
+  url.searchParams.set('_offset', offset);
+  url.searchParams.set('_count', count);
+  return url.toString();
+}
+
+/**
+ * `type` is "searchset" for search results and "collection" for exports.
+ * A searchset is one page of the matches: `total` counts all of them and
+ * `offset`/`count` place the page, for the previous/next links.
+ */
+export function toBundle(observations, { type, baseUrl, selfUrl, total = observations.length, offset = 0, count = observations.length }) {
+  const bundle = {
+    resourceType: 'Bundle',
+    type,
+    timestamp: new Date().toISOString()
+  };
+  if (type === 'searchset') {
+    bundle.total = total;
+    bundle.link = [{ relation: 'self', url: selfUrl }];
+    // _count=0 asks for the total only, there are no pages to link
+    if (count > 0 && offset > 0) {
+      bundle.link.push({ relation: 'previous', url: pageUrl(selfUrl, Math.max(0, offset - count), count) });
+    }
+    if (count > 0 && offset + observations.length < total) {
+      bundle.link.push({ relation: 'next', url: pageUrl(selfUrl, offset + observations.length, count) });
+    }
+  }
+  bundle.entry = observations.map(resource => ({
+    fullUrl: `${baseUrl}/Observation/${resource.id}`,
+    resource,
+    ...(type === 'searchset' ? { search: { mode: 'match' } } : {})
+  }));
+  return bundle;
+}
+
+/**
+ * A paging parameter (_count, _offset): `fallback` when absent, the number
+ * for a non-negative integer, null for anything else.
+ */
+export function parsePagingParam(value, fallback) {
+  if (value == null || value === '') return fallback;
+  return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : null;
+}
+
+export function operationOutcome(code, diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code, diagnostics }]
+  };
+}
+
+/**
+ * Date range from FHIR `date` search values such as ge2026-01-01 or
+ * lt2026-02-01T00:00:00Z; a plain date (or eq) covers that whole day.
+ * Returns null for a value that cannot be parsed.
+ */
+export function parseDateSearch(values) {
+  const range = { from: new Date(0), to: new Date() };
+  for (const value of [].concat(values ?? [])) {
+    const match = /^(eq|ge|gt|le|lt)?(.+)$/.exec(String(value));
+    const date = new Date(match?.[2]);
+    if (!match || isNaN(date)) return null;
+
+    const prefix = match[1] || 'eq';
+    if (prefix === 'ge' || prefix === 'gt') range.from = prefix === 'gt' ? new Date(date.getTime() + 1) : date;
+    if (prefix === 'le' || prefix === 'lt') range.to = prefix === 'lt' ? new Date(date.getTime() - 1) : date;
+    if (prefix === 'eq') {
+      range.from = date;
+      range.to = /^\d{4}-\d{2}-\d{2}$/.test(match[2]) ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) : date;
+    }
+  }
+  return range;
+}
+
+export default { predictionToObservation, toBundle, operationOutcome, parseDateSearch };
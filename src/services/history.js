@@ -0,0 +1,94 @@
+// Bucketing of stored readings for GET /api/history
+
+export const HISTORY_BUCKETS = ['none', 'day', 'week', 'month'];
+export const HISTORY_AGGREGATIONS = ['mean', 'min', 'max', 'last'];
+
+const formatters = new Map();
+
+function formatterFor(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(tz);
+}
+
+export function isValidTimeZone(tz) {
+  try {
+    formatterFor(tz);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a time zone
+function zonedParts(date, tz) {
+  return Object.fromEntries(formatterFor(tz).formatToParts(date).map(p => [p.type, Number(p.value)]));
+}
+
+function offsetAt(ms, tz) {
+  const p = zonedParts(new Date(ms), tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Instant of local midnight on the given calendar day in tz
+function zonedMidnight(year, month, day, tz) {
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - offsetAt(guess, tz);
+  return new Date(guess - offsetAt(first, tz));
+}
+
+// Start of the day / week (Monday) / month containing `date`, like Mongo's $dateTrunc
+export function bucketStart(date, bucket, tz) {
+  const { year, month, day } = zonedParts(date, tz);
+  if (bucket === 'month') return zonedMidnight(year, month, 1, tz);
+  if (bucket === 'week') {
+    const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7; // Monday = 0
+    const monday = new Date(Date.UTC(year, month - 1, day - weekday));
+    return zonedMidnight(monday.getUTCFullYear(), monday.getUTCMonth() + 1, monday.getUTCDate(), tz);
+  }
+  return zonedMidnight(year, month, day, tz);
+}
+
+function aggregate(values, aggregation) {
+  const present = values.filter(v => typeof v === 'number');
+  if (aggregation === 'last') return values.length ? values[values.length - 1] ?? null : null;
+  if (present.length === 0) return null;
+  if (aggregation === 'min') return Math.min(...present);
+  if (aggregation === 'max') return Math.max(...present);
+  return present.reduce((a, b) => a + b, 0) / present.length;
+}
+
+/**
+ * Group readings (oldest first) into buckets.
+ * @returns {Array<{ date, systolic, diastolic, signalQuality, count }>}
+ */
+export function bucketReadings(readings, { bucket, aggregation, tz }) {
+  const groups = new Map();
+  for (const reading of readings) {
+    const start = bucketStart(new Date(reading.timestamp), bucket, tz).getTime();
+    if (!groups.has(start)) groups.set(start, []);
+    groups.get(start).push(reading);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, group]) => ({
+      date: new Date(start),
+      systolic: aggregate(group.map(r => r.systolic), aggregation),
+      diastolic: aggregate(group.map(r => r.diastolic), aggregation),
+      signalQuality: aggregate(group.map(r => r.signalQuality), aggregation),
+      count: group.length
+    }));
+}
+
+export default { bucketReadings, bucketStart, isValidTimeZone };
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// In-memory job runner: bounded concurrency, per-job timeout
+export class JobQueue {
+  constructor({ concurrency = 2, timeoutMs = 30000, retentionMs = 10 * 60 * 1000 } = {}) {
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a job. The handler receives { signal }: abort work when it fires,
+   * and check signal.aborted before side effects that follow awaited work.
+   * owner (a user id) limits who may read the job back.
+   */
+  enqueue(type, handler, { owner = null } = {}) {
+    const job = {
+      id: uuidv4(),
+      type,
+      owner,
+      status: 'queued',
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      handler
+    };
+    job.finished = new Promise(resolve => { job.settle = resolve; });
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Resolves with the job once it is done or failed (never rejects)
+  async wait(job) {
+    await job.finished;
+    return job;
+  }
+
+  // Resolves once every queued and running job has finished, including jobs queued meanwhile
+  async idle() {
+    let unfinished;
+    while ((unfinished = [...this.jobs.values()].filter(job => !job.finishedAt)).length > 0) {
+      await Promise.all(unfinished.map(job => job.finished));
+    }
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.run(this.pending.shift());
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    const controller = new AbortController();
+    let timer;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`Job timed out after ${this.timeoutMs} ms`));
+        }, this.timeoutMs);
+      });
+
+      job.result = await Promise.race([
+        job.handler({ signal: controller.signal }),
+        timeout
+      ]);
+      job.status = 'done';
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      job.error = error.message;
+      job.status = 'failed';
+    } finally {
+      clearTimeout(timer);
+      job.finishedAt = new Date();
+      delete job.handler;
+      job.settle();
+      setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+
+      this.running--;
+      this.drain();
+    }
+  }
+
+  toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+// Remove files a previous run left behind in the temp directory
+export async function sweepTempDir(tempDir) {
+  await fs.promises.mkdir(tempDir, { recursive: true });
+  const entries = await fs.promises.readdir(tempDir);
+  await Promise.all(entries.map(entry => fs.promises.rm(path.join(tempDir, entry), { recursive: true, force: true })));
+  return entries.length;
+}
+
+export default JobQueue;
@@ -0,0 +1,198 @@
+import { WebSocketServer } from 'ws';
+import {
+  extractFeatures,
+  estimateSignalQuality,
+  estimateHeartRate,
+  estimateSampleRate,
+  resampleUniform,
+  MIN_SAMPLE_RATE,
+  MAX_SAMPLE_RATE,
+  MIN_SAMPLES_FOR_PREDICTION
+} from '../../Public/static/js/rppg-features.js';
+import { describeUncertainty } from './uncertainty.js';
+
+const MAX_SAMPLES_PER_MESSAGE = 1000;
+// Room for MAX_SAMPLES_PER_MESSAGE value/timestamp pairs; larger frames close the socket
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+/**
+ * Rolling estimates for one streaming recording.
+ * Keeps the last windowSeconds of samples (timestamps in ms, as VasoVueRPPG
+ * records them) and estimates from that window on demand.
+ */
+export class LiveSession {
+  constructor({ model, jobs, owner = null, windowSeconds }) {
+    this.model = model;
+    this.jobs = jobs;
+    this.owner = owner;
+    this.windowSeconds = windowSeconds;
+    this.values = [];
+    this.timestamps = [];
+    this.received = 0;
+    this.estimatedAt = 0;
+    this.firstTimestamp = null;
+  }
+
+  // Append samples; out-of-order or duplicate timestamps are dropped
+  push(values, timestamps) {
+    values.forEach((value, i) => {
+      const t = Number(timestamps[i]);
+      const last = this.timestamps[this.timestamps.length - 1];
+      if (!Number.isFinite(Number(value)) || !Number.isFinite(t) || (last !== undefined && t <= last)) return;
+
+      this.values.push(Number(value));
+      this.timestamps.push(t);
+      this.firstTimestamp ??= t;
+      this.received++;
+    });
+
+    const cutoff = this.timestamps[this.timestamps.length - 1] - this.windowSeconds * 1000;
+    const firstKept = this.timestamps.findIndex(t => t >= cutoff);
+    if (firstKept > 0) {
+      this.values.splice(0, firstKept);
+      this.timestamps.splice(0, firstKept);
+    }
+  }
+
+  get hasNewSamples() {
+    return this.received > this.estimatedAt;
+  }
+
+  async estimate() {
+    this.estimatedAt = this.received;
+    if (this.timestamps.length < 2) return null;
+
+    const seconds = this.timestamps.map(t => (t - this.timestamps[0]) / 1000);
+    const sampleRate = estimateSampleRate(seconds);
+    const coverage = seconds[seconds.length - 1];
+    const elapsed = (this.timestamps[this.timestamps.length - 1] - this.firstTimestamp) / 1000;
+    const estimate = {
+      samples: this.values.length,
+      coverageSeconds: coverage,
+      windowSeconds: this.windowSeconds,
+      sampleRate,
+      heartRate: null,
+      signalQuality: 0,
+      bloodPressure: null,
+      // Window not filled yet: numbers will still move
+      provisional: elapsed < this.windowSeconds
+    };
+    if (!(sampleRate >= MIN_SAMPLE_RATE && sampleRate <= MAX_SAMPLE_RATE)) return estimate;
+
+    const signal = resampleUniform(this.values, seconds, sampleRate);
+    estimate.heartRate = estimateHeartRate(signal, sampleRate);
+    estimate.signalQuality = estimateSignalQuality(signal, sampleRate);
+    if (signal.length < MIN_SAMPLES_FOR_PREDICTION) return estimate;
+
+    const job = await this.jobs.wait(this.jobs.enqueue('live', async ({ signal: abortSignal }) => {
+      const features = extractFeatures(signal, { sampleRate });
+      return this.model.predictor.predict(features, { signal: abortSignal });
+    }, { owner: this.owner }));
+    if (job.status === 'done') {
+      estimate.bloodPressure = {
+        systolic: job.result.systolic,
+        diastolic: job.result.diastolic,
+        modelVersion: this.model.version,
+        uncertainty: describeUncertainty(job.result, this.model.calibration)
+      };
+    }
+
+    return estimate;
+  }
+}
+
+/**
+ * Streaming estimation over WebSocket at `path`.
+ *
+ * Client -> server: { type: 'samples', values: [...], timestamps: [...] }
+ * Server -> client: { type: 'ready', windowSeconds, modelVersion }
+ *                   { type: 'estimate', ...LiveSession.estimate() }
+ *                   { type: 'error', error }
+ * The model version can be picked with ?model=<version>. `jobs` should be a
+ * queue of its own: every open stream adds a job per update interval.
+ * authenticate(req) returns (or resolves to) the user, or null.
+ */
+export function attachLiveStream(server, { path = '/api/stream', modelRegistry, jobs, authenticate, windowSeconds, updateIntervalMs }) {
+  const wss = new WebSocketServer({ server, path, maxPayload: MAX_PAYLOAD_BYTES });
+
+  wss.on('connection', async (socket, req) => {
+    let timer = null;
+
+    // Protocol violations (unmasked or oversized frames) end this stream, not the process
+    socket.on('error', (error) => {
+      console.warn(`⚠️ Live stream closed: ${error.message}`);
+      clearInterval(timer);
+      socket.terminate();
+    });
+
+    const send = (message) => {
+      if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    // Same session cookie / Bearer token as the REST API
+    let user;
+    try {
+      user = await authenticate(req);
+    } catch (error) {
+      console.error('Live stream authentication error:', error);
+      send({ type: 'error', error: 'Authentication failed' });
+      return socket.close(1011);
+    }
+    // Gone while the account was looked up
+    if (socket.readyState !== socket.OPEN) return;
+    if (!user) {
+      send({ type: 'error', error: 'Authentication required' });
+      return socket.close(1008);
+    }
+
+    const requested = new URL(req.url, 'http://localhost').searchParams.get('model');
+    const model = modelRegistry.resolve(requested);
+    if (!model) {
+      send({ type: 'error', error: requested ? `Unknown model version: ${requested}` : 'BP model is not loaded' });
+      return socket.close(1011);
+    }
+
+    const session = new LiveSession({ model, jobs, owner: user.id, windowSeconds });
+    let busy = false;
+    send({ type: 'ready', windowSeconds, modelVersion: model.version });
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return send({ type: 'error', error: 'Messages must be JSON' });
+      }
+
+      if (message.type !== 'samples') return;
+      const { values, timestamps } = message;
+      if (!Array.isArray(values) || !Array.isArray(timestamps) || values.length !== timestamps.length) {
+        return send({ type: 'error', error: 'samples needs values and timestamps of equal length' });
+      }
+      if (values.length > MAX_SAMPLES_PER_MESSAGE) {
+        return send({ type: 'error', error: `At most ${MAX_SAMPLES_PER_MESSAGE} samples per message` });
+      }
+      session.push(values, timestamps);
+    });
+
+    // One estimate in flight per connection; skipped ticks just wait for the next
+    timer = setInterval(async () => {
+      if (busy || !session.hasNewSamples) return;
+      busy = true;
+      try {
+        const estimate = await session.estimate();
+        if (estimate) send({ type: 'estimate', ...estimate });
+      } catch (error) {
+        send({ type: 'error', error: error.message });
+      } finally {
+        busy = false;
+      }
+    }, updateIntervalMs);
+
+    socket.on('close', () => clearInterval(timer));
+  });
+
+  return wss;
+}
+
+export default attachLiveStream;
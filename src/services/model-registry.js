@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import { createPredictor } from './bp-predictor.js';
+import { loadLabelledDataset, calibrateConformal } from './uncertainty.js';
+
+// Readiness checks spawn the interpreter for Python models, so a result is reused for this long
+const READINESS_TTL_MS = 30000;
+
+// Backends a version can ship an artifact for, see createPredictor
+const BACKENDS = ['node', 'python'];
+
+/**
+ * Versioned BP models, one directory per version:
+ *
+ *   model/registry/<version>/metadata.json
+ *   model/registry/<version>/<artifact>   (tree ensemble / tfjs model.json / joblib pickle)
+ *
+ * metadata.json: { version, artifacts: { node, python }, trainedAt, featureNames,
+ * targetNames, validationMae: { systolic, diastolic }, calibration, description }
+ * (older versions name a single `backend` and `artifact` instead of `artifacts`).
+ *
+ * The configured `backend` picks which artifact each version is served from;
+ * versions without one for it are skipped. Pickles are not committed: for
+ * BP_BACKEND=python, rebuild v1's with
+ *
+ *   python model/python_src/models/ML1.py model/python_src/models/synthetic_bp_dataset.csv model/registry/v1/model.pkl
+ *
+ * (training is seeded, so this is the pipeline model.json was exported from),
+ * or run export_model.py, which writes both artifacts for a new version.
+ */
+export class ModelRegistry {
+  constructor({ registryDir, defaultModel = null, backend = 'node', pythonBin, pythonScript, calibrationDataset, intervalLevel = 0.9 }) {
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown prediction backend: ${backend} (expected ${BACKENDS.join(' or ')})`);
+    }
+    this.registryDir = registryDir;
+    this.defaultVersion = defaultModel;
+    this.backend = backend;
+    this.pythonBin = pythonBin;
+    this.pythonScript = pythonScript;
+    this.calibrationDataset = calibrationDataset;
+    this.intervalLevel = intervalLevel;
+    this.models = new Map();
+  }
+
+  // Load every version found on disk; a broken version is skipped, not fatal
+  async load() {
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(this.registryDir, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`⚠️ Model registry ${this.registryDir} not readable: ${error.message}`);
+    }
+
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      const versionDir = path.join(this.registryDir, entry.name);
+      try {
+        const metadata = JSON.parse(await fs.promises.readFile(path.join(versionDir, 'metadata.json'), 'utf8'));
+        const version = metadata.version || entry.name;
+        const artifact = artifactFor(metadata, this.backend);
+        if (!artifact) {
+          console.warn(`⚠️ Model ${version} has no ${this.backend} artifact, skipped`);
+          continue;
+        }
+        const modelPath = path.resolve(versionDir, artifact);
+        await fs.promises.access(modelPath).catch(() => {
+          throw new Error(`${artifact} not found in ${versionDir}`);
+        });
+
+        const predictor = await createPredictor({
+          backend: this.backend,
+          modelPath,
+          pythonBin: this.pythonBin,
+          pythonScript: this.pythonScript
+        });
+
+        const calibration = await this.calibrate(version, metadata, predictor);
+        this.models.set(version, { version, metadata, predictor, calibration });
+      } catch (error) {
+        console.error(`❌ Failed to load model ${entry.name}:`, error.message);
+      }
+    }
+
+    if (this.defaultVersion && !this.models.has(this.defaultVersion)) {
+      console.error(`❌ Default model ${this.defaultVersion} is not in the registry`);
+      this.defaultVersion = null;
+    }
+    // Without a configured default, use the most recently trained model
+    if (!this.defaultVersion && this.models.size > 0) {
+      this.defaultVersion = this.list()[0].version;
+    }
+
+    return this;
+  }
+
+  // Interval calibration: exported with the model, else computed here for in-process models
+  async calibrate(version, metadata, predictor) {
+    if (metadata.calibration) return metadata.calibration;
+    if (predictor.backend !== 'node' || !this.calibrationDataset) return null;
+
+    try {
+      this.calibrationRows = this.calibrationRows || await loadLabelledDataset(this.calibrationDataset);
+      return await calibrateConformal(predictor, this.calibrationRows, this.intervalLevel);
+    } catch (error) {
+      console.warn(`⚠️ Could not calibrate intervals for model ${version}: ${error.message}`);
+      return null;
+    }
+  }
+
+  has(version) {
+    return this.models.has(version);
+  }
+
+  get size() {
+    return this.models.size;
+  }
+
+  /**
+   * Whether the default model can serve predictions: { ok, version, backend[, error] }.
+   * Results are cached for READINESS_TTL_MS.
+   */
+  async checkReady() {
+    const model = this.resolve();
+    if (!model) return { ok: false, error: 'No BP model is loaded' };
+
+    const { version, predictor } = model;
+    if (this.readiness?.version === version && Date.now() - this.readiness.checkedAt < READINESS_TTL_MS) {
+      return this.readiness.result;
+    }
+
+    let result;
+    try {
+      await predictor.check();
+      result = { ok: true, version, backend: predictor.backend };
+    } catch (error) {
+      result = { ok: false, version, backend: predictor.backend, error: error.message };
+    }
+    this.readiness = { version, checkedAt: Date.now(), result };
+    return result;
+  }
+
+  // Resolve a requested version (or the default) to { version, metadata, predictor, calibration }
+  resolve(version) {
+    return this.models.get(version || this.defaultVersion) || null;
+  }
+
+  list() {
+    return [...this.models.values()]
+      .map(({ version, metadata, predictor, calibration }) => ({
+        version,
+        backend: predictor.backend,
+        format: predictor.format,
+        trainedAt: metadata.trainedAt || null,
+        featureNames: metadata.featureNames || null,
+        targetNames: metadata.targetNames || null,
+        validationMae: metadata.validationMae || null,
+        interval: calibration ? { level: calibration.level, margin: calibration.margin } : null,
+        description: metadata.description || null,
+        isDefault: version === this.defaultVersion
+      }))
+      .sort((a, b) => String(b.trainedAt || '').localeCompare(String(a.trainedAt || '')));
+  }
+}
+
+// The artifact a version serves `backend` from, or null when it has none
+function artifactFor(metadata, backend) {
+  if (metadata.artifacts) return metadata.artifacts[backend] || null;
+  return (metadata.backend || 'node') === backend ? metadata.artifact || 'model.json' : null;
+}
+
+export default ModelRegistry;
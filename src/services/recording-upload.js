@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { PassThrough, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
+
+// Browsers record webcam video as WebM (MediaRecorder with vp8/vp9)
+export const RECORDING_MIME_TYPES = ['video/webm'];
+
+// Every WebM file starts with an EBML header element
+export const WEBM_SIGNATURE = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+// Rejected upload; `status` is the HTTP status to answer with
+export class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+// Passes the stream through once its first bytes match `signature`
+export function checkSignature(signature) {
+  let head = Buffer.alloc(0);
+  let checked = false;
+
+  const check = (stream) => {
+    if (!head.subarray(0, signature.length).equals(signature)) {
+      throw new UploadError('File is not a WebM video', 415);
+    }
+    checked = true;
+    stream.push(head);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (checked) return callback(null, chunk);
+      head = Buffer.concat([head, chunk]);
+      if (head.length < signature.length) return callback();
+      try {
+        check(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      if (checked) return callback();
+      try {
+        check(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+/**
+ * Multer storage engine for recordings: a fresh uuid name per upload (the
+ * client's file name is never used on disk), the WebM signature checked
+ * before anything is kept, and the content encrypted on its way to disk
+ * when `encryption` is enabled. `size` is the plaintext size.
+ */
+export function recordingStorage({ directory, encryption }) {
+  return {
+    _handleFile(req, file, callback) {
+      const filename = `${uuidv4()}.webm`;
+      const filePath = path.join(directory, filename);
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, done) {
+          size += chunk.length;
+          done(null, chunk);
+        }
+      });
+
+      pipeline(
+        file.stream,
+        checkSignature(WEBM_SIGNATURE),
+        counter,
+        encryption.enabled ? encryption.encryptStream() : new PassThrough(),
+        fs.createWriteStream(filePath)
+      )
+        .then(() => callback(null, { destination: directory, filename, path: filePath, size }))
+        .catch(error => fs.promises.rm(filePath, { force: true }).finally(() => callback(error)));
+    },
+
+    _removeFile(req, file, callback) {
+      fs.promises.rm(file.path, { force: true }).then(() => callback(null), callback);
+    }
+  };
+}
+
+// Multer middleware factory for single-video uploads of at most `maxBytes`
+export function createRecordingUpload({ directory, encryption, maxBytes }) {
+  return multer({
+    storage: recordingStorage({ directory, encryption }),
+    limits: { fileSize: maxBytes, files: 1, fields: 10 },
+    fileFilter(req, file, callback) {
+      const mimetype = file.mimetype.split(';')[0].trim().toLowerCase();
+      if (!RECORDING_MIME_TYPES.includes(mimetype)) {
+        return callback(new UploadError(`Unsupported recording type: ${file.mimetype} (expected ${RECORDING_MIME_TYPES.join(', ')})`, 415));
+      }
+      callback(null, true);
+    }
+  });
+}
+
+export default createRecordingUpload;
@@ -0,0 +1,51 @@
+import fs from 'fs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Video files are removed before their records so a failure leaves nothing orphaned on disk
+export async function removeRecordingFiles(recordings) {
+  await Promise.all(recordings.map(recording => fs.promises.rm(recording.path, { force: true })));
+}
+
+/**
+ * Delete recordings and strip raw signals older than `days`.
+ * Readings keep their BP values so history and trends still work.
+ */
+export async function purgeExpired(storage, { days, now = new Date() }) {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+
+  const expired = await storage.recordings.findOlderThan(cutoff);
+  await removeRecordingFiles(expired);
+  const recordings = await storage.recordings.deleteByIds(expired.map(recording => recording._id));
+  const signals = await storage.predictions.purgeSignals(cutoff);
+
+  return { cutoff, recordings, signals };
+}
+
+// Run the purge now and then every `intervalMs`; disabled when `days` is not set
+export function startRetention(storage, { days, intervalMs }) {
+  if (!days) return null;
+
+  const run = async () => {
+    try {
+      const { cutoff, recordings, signals } = await purgeExpired(storage, { days });
+      if (recordings === 0 && signals === 0) return;
+
+      console.log(`🧹 Retention: removed ${recordings} recording(s) and ${signals} signal(s) older than ${cutoff.toISOString()}`);
+      await storage.audit.create({
+        actor: 'system',
+        action: 'retention.purge',
+        details: { days, cutoff, recordings, signals }
+      });
+    } catch (error) {
+      console.error('❌ Retention purge failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+export default { purgeExpired, removeRecordingFiles, startRetention };
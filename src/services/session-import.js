@@ -0,0 +1,122 @@
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+// Offline session exports -> { signal, timestamps (ms) } or { signal, sampleRate }
+
+const SESSION_EXTENSIONS = ['.csv', '.json'];
+
+function parseCsv(text) {
+  const [header, ...lines] = text.trim().split(/\r?\n/).filter(line => line.trim() !== '');
+  if (!header) throw new Error('CSV file is empty');
+
+  const columns = header.split(',').map(name => name.trim().replace(/^"|"$/g, ''));
+  const rows = lines.map(line => line.split(',').map(value => Number(value.trim())));
+  const column = name => rows.map(row => row[columns.indexOf(name)]);
+
+  // VasoVueRPPG.exportCSV: Index,Timestamp,RelativeTime,GreenValue,SignalQuality
+  if (columns.includes('GreenValue') && columns.includes('Timestamp')) {
+    return { signal: column('GreenValue'), timestamps: column('Timestamp') };
+  }
+  // rppg_signal_basic.csv: Time (s),Green Avg (rPPG Proxy)
+  if (columns.includes('Green Avg (rPPG Proxy)') && columns.includes('Time (s)')) {
+    return {
+      signal: column('Green Avg (rPPG Proxy)'),
+      timestamps: column('Time (s)').map(t => t * 1000)
+    };
+  }
+
+  throw new Error(`Unrecognized CSV columns: ${columns.join(', ')}`);
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+
+  // VasoVueRPPG.exportJSON
+  if (Array.isArray(data.samples)) {
+    return {
+      signal: data.samples.map(s => s.greenValue),
+      timestamps: data.samples.every(s => s.timestamp != null) ? data.samples.map(s => s.timestamp) : undefined,
+      sampleRate: data.sampleRate
+    };
+  }
+  // Same body as POST /api/predict
+  if (Array.isArray(data.signal)) {
+    return { signal: data.signal, timestamps: data.timestamps, sampleRate: data.sampleRate };
+  }
+
+  throw new Error('JSON export has neither samples nor signal');
+}
+
+export function parseSessionFile(name, buffer) {
+  const text = buffer.toString('utf8');
+  const extension = path.extname(name).toLowerCase();
+
+  if (extension === '.csv') return parseCsv(text);
+  if (extension === '.json') return parseJson(text);
+  throw new Error(`Unsupported file type: ${extension || name}`);
+}
+
+// A batch request that asks for more work than the configured limits allow
+export class BatchLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchLimitError';
+    this.status = 413;
+  }
+}
+
+/**
+ * Flatten uploaded files, expanding zips into their CSV/JSON entries.
+ *
+ * Zips are checked against their central directory before anything is
+ * inflated: an archive with more than maxArchiveEntries entries, or whose
+ * session entries would push the request past maxUncompressedBytes, becomes
+ * an error row. More than maxSessions sessions in total rejects the whole
+ * request with BatchLimitError.
+ */
+export function expandUploads(files, { maxSessions = Infinity, maxArchiveEntries = Infinity, maxUncompressedBytes = Infinity } = {}) {
+  let sessionCount = 0;
+  let uncompressedBytes = 0;
+  const countSessions = (count) => {
+    sessionCount += count;
+    if (sessionCount > maxSessions) {
+      throw new BatchLimitError(`A batch may hold at most ${maxSessions} sessions`);
+    }
+  };
+
+  return files.flatMap(file => {
+    if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+      countSessions(1);
+      return [{ name: file.originalname, buffer: file.buffer }];
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(file.buffer).getEntries();
+    } catch (error) {
+      return [{ name: file.originalname, error: `Invalid zip archive: ${error.message}` }];
+    }
+    if (entries.length > maxArchiveEntries) {
+      return [{ name: file.originalname, error: `Zip archive has more than ${maxArchiveEntries} entries` }];
+    }
+
+    const sessions = entries
+      .filter(entry => !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/'))
+      .filter(entry => SESSION_EXTENSIONS.includes(path.extname(entry.entryName).toLowerCase()));
+    // Declared sizes also cap inflation: adm-zip stops at header.size bytes
+    const archiveBytes = sessions.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (uncompressedBytes + archiveBytes > maxUncompressedBytes) {
+      return [{ name: file.originalname, error: `Zip archive expands past the ${maxUncompressedBytes} byte batch limit` }];
+    }
+    countSessions(sessions.length);
+    uncompressedBytes += archiveBytes;
+
+    try {
+      return sessions.map(entry => ({ name: `${file.originalname}/${entry.entryName}`, buffer: entry.getData() }));
+    } catch (error) {
+      return [{ name: file.originalname, error: `Invalid zip archive: ${error.message}` }];
+    }
+  });
+}
+
+export default { parseSessionFile, expandUploads, BatchLimitError };
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import { FEATURE_NAMES } from '../../Public/static/js/rppg-features.js';
+
+// Split-conformal prediction intervals for the BP models
+
+// Rows of synthetic_bp_dataset.csv: FEATURE_NAMES columns plus systolic_BP/diastolic_BP
+export async function loadLabelledDataset(csvPath) {
+  const [header, ...lines] = (await fs.promises.readFile(csvPath, 'utf8')).trim().split(/\r?\n/);
+  const columns = header.split(',').map(name => name.trim());
+  const featureIndex = FEATURE_NAMES.map(name => columns.indexOf(name));
+  const systolicIndex = columns.indexOf('systolic_BP');
+  const diastolicIndex = columns.indexOf('diastolic_BP');
+
+  if (featureIndex.includes(-1) || systolicIndex === -1 || diastolicIndex === -1) {
+    throw new Error(`${csvPath} does not have the feature and BP columns`);
+  }
+
+  return lines.map(line => {
+    const values = line.split(',').map(Number);
+    return {
+      features: featureIndex.map(i => values[i]),
+      systolic: values[systolicIndex],
+      diastolic: values[diastolicIndex]
+    };
+  });
+}
+
+function conformalQuantile(residuals, level) {
+  const sorted = [...residuals].sort((a, b) => a - b);
+  const rank = Math.min(sorted.length, Math.ceil((sorted.length + 1) * level));
+  return sorted[rank - 1];
+}
+
+function rootMeanSquare(values) {
+  return Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+}
+
+/**
+ * Calibrate interval margins from absolute residuals on labelled rows.
+ * Rows the model was trained on make the margins optimistic, so prefer the
+ * hold-out calibration export_model.py writes into metadata.json.
+ */
+export async function calibrateConformal(predictor, rows, level) {
+  const residuals = { systolic: [], diastolic: [] };
+
+  for (const row of rows) {
+    const prediction = await predictor.predict(row.features);
+    residuals.systolic.push(row.systolic - prediction.systolic);
+    residuals.diastolic.push(row.diastolic - prediction.diastolic);
+  }
+
+  return {
+    method: 'conformal',
+    level,
+    n: rows.length,
+    margin: {
+      systolic: conformalQuantile(residuals.systolic.map(Math.abs), level),
+      diastolic: conformalQuantile(residuals.diastolic.map(Math.abs), level)
+    },
+    residualStd: {
+      systolic: rootMeanSquare(residuals.systolic),
+      diastolic: rootMeanSquare(residuals.diastolic)
+    }
+  };
+}
+
+/**
+ * Uncertainty stored with a prediction: ± margins at the calibrated level and
+ * a standard error (ensemble spread when the model has one, else residual std).
+ */
+export function describeUncertainty(prediction, calibration) {
+  if (!calibration) return null;
+
+  const spread = prediction.spread || calibration.residualStd;
+  return {
+    method: prediction.spread ? `${calibration.method}+ensemble` : calibration.method,
+    level: calibration.level,
+    systolicMargin: calibration.margin.systolic,
+    diastolicMargin: calibration.margin.diastolic,
+    systolicStdError: spread.systolic,
+    diastolicStdError: spread.diastolic
+  };
+}
+
+export default { loadLabelledDataset, calibrateConformal, describeUncertainty };
@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { checkAudit } from './records.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+const VERIFY_BATCH = 500;
+const MAX_APPEND_ATTEMPTS = 5;
+
+// SHA-256 over the entry's fields in a fixed order, chained to the previous entry
+export function hashAuditEntry(entry) {
+  const fields = [
+    entry.seq,
+    entry.prevHash,
+    new Date(entry.timestamp).toISOString(),
+    entry.actor,
+    entry.action,
+    entry.resourceId ?? null,
+    entry.subject ?? null,
+    entry.outcome,
+    entry.details ?? null,
+    entry.ip ?? null
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Wrap a store so audit entries form a hash chain: each one gets the next
+ * `seq`, the previous entry's hash as `prevHash` and its own `hash`. Editing
+ * or removing an entry breaks every hash after it, which verify() reports.
+ */
+export function chainAudit(store) {
+  const { audit } = store;
+  let tail = null;
+  let appending = Promise.resolve();
+
+  async function append(data) {
+    const entry = checkAudit(data);
+    // Store details exactly as they are hashed (no undefined values, dates as strings)
+    if (entry.details !== undefined) entry.details = JSON.parse(JSON.stringify(entry.details));
+    for (let attempt = 1; ; attempt++) {
+      if (!tail) {
+        const last = await audit.findLast();
+        tail = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+      }
+
+      const chained = { ...entry, seq: tail.seq + 1, prevHash: tail.hash };
+      chained.hash = hashAuditEntry(chained);
+      try {
+        const saved = await audit.create(chained);
+        tail = { seq: saved.seq, hash: saved.hash };
+        return saved;
+      } catch (error) {
+        // Another instance appended first: reload the tail and try again
+        tail = null;
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  return {
+    ...store,
+
+    audit: {
+      ...audit,
+
+      // Appends one at a time so seq and prevHash never race within this process
+      create(data) {
+        const result = appending.then(() => append(data));
+        appending = result.catch(() => {});
+        return result;
+      },
+
+      // Walk the chain from the first entry; reports the first seq that does not check out
+      async verify() {
+        let prevHash = GENESIS_HASH;
+        let seq = 1;
+        for (;;) {
+          const batch = await audit.findChain(seq, VERIFY_BATCH);
+          for (const entry of batch) {
+            if (entry.seq !== seq || entry.prevHash !== prevHash || entry.hash !== hashAuditEntry(entry)) {
+              return { valid: false, checked: seq - 1, brokenAt: seq };
+            }
+            prevHash = entry.hash;
+            seq++;
+          }
+          if (batch.length < VERIFY_BATCH) {
+            return { valid: true, checked: seq - 1, lastHash: prevHash };
+          }
+        }
+      }
+    }
+  };
+}
+
+export default chainAudit;
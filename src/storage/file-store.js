@@ -0,0 +1,451 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { checkAudit, checkCalibration, checkConsent, checkPrediction, checkRecording, checkUser, USER_ROLES, ValidationError } from './records.js';
+
+const DATE_FIELDS = ['timestamp', 'createdAt', 'updatedAt', 'signalPurgedAt', 'measuredAt', 'startedAt'];
+
+// Same code MongoDB uses for a unique index violation
+const DUPLICATE_KEY = 11000;
+
+function reviveDates(doc) {
+  for (const field of DATE_FIELDS) {
+    if (doc[field]) doc[field] = new Date(doc[field]);
+  }
+  return doc;
+}
+
+/**
+ * One JSON file per collection, held in memory and rewritten atomically
+ * (temp file + rename) after every change. Meant for development, demos
+ * and single-instance installs: every collection must fit in memory, and
+ * a write costs as much as the whole file (see AppendOnlyCollection for
+ * the ones that keep growing).
+ */
+class FileCollection {
+  constructor(file) {
+    this.file = file;
+    this.docs = [];
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    this.docs = (await this.read(this.file)).map(reviveDates);
+  }
+
+  async read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return [];
+    }
+  }
+
+  serialize() {
+    return JSON.stringify(this.docs);
+  }
+
+  // Writes are chained so they land on disk in order; one that fails (ENOSPC, EACCES)
+  // rejects for its caller only, the next write still runs
+  write(step) {
+    this.writing = this.writing.catch(() => {}).then(step);
+    return this.writing;
+  }
+
+  // The snapshot is taken when the write runs, so it includes every change queued before it
+  async writeFile() {
+    const temp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, this.serialize());
+    await fs.promises.rename(temp, this.file);
+  }
+
+  save() {
+    return this.write(() => this.writeFile());
+  }
+
+  build(data) {
+    const now = new Date();
+    return { _id: uuidv4(), ...data, createdAt: now, updatedAt: now };
+  }
+
+  async insert(data) {
+    const doc = this.build(data);
+    this.docs.push(doc);
+    try {
+      await this.save();
+    } catch (error) {
+      // Not on disk, so not in memory either
+      this.docs = this.docs.filter(d => d !== doc);
+      throw error;
+    }
+    return structuredClone(doc);
+  }
+
+  find(predicate) {
+    return this.docs.filter(predicate).map(doc => structuredClone(doc));
+  }
+
+  findOne(predicate) {
+    const doc = this.docs.find(predicate);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  // Applies `change` in place to every match; returns how many changed
+  async update(predicate, change) {
+    const now = new Date();
+    const matches = this.docs.filter(predicate);
+    for (const doc of matches) {
+      change(doc);
+      doc.updatedAt = now;
+    }
+    if (matches.length) await this.save();
+    return matches.length;
+  }
+
+  async remove(predicate) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !predicate(doc));
+    const removed = before - this.docs.length;
+    if (removed) await this.save();
+    return removed;
+  }
+}
+
+/**
+ * JSON Lines file for collections that mostly grow (predictions, audit):
+ * an insert appends one line instead of rewriting the file. Updates and
+ * removals still rewrite it whole, so purged signals and deleted accounts
+ * do not linger on disk. A collection still stored as a legacyFile JSON
+ * array is converted on load.
+ */
+class AppendOnlyCollection extends FileCollection {
+  constructor(file, legacyFile = null) {
+    super(file);
+    this.legacyFile = legacyFile;
+    // Set when an append failed and may have left a partial line behind
+    this.damaged = false;
+  }
+
+  async load() {
+    let rewrite = false;
+    try {
+      const lines = (await fs.promises.readFile(this.file, 'utf8')).split('\n').filter(line => line !== '');
+      this.docs = lines.flatMap((line, i) => {
+        try {
+          return [reviveDates(JSON.parse(line))];
+        } catch (error) {
+          // A crash mid-append leaves a partial last line; drop it and rewrite the file
+          if (i < lines.length - 1) throw new Error(`${this.file} line ${i + 1}: ${error.message}`);
+          console.warn(`⚠️ Dropping incomplete last line of ${this.file}`);
+          rewrite = true;
+          return [];
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.docs = this.legacyFile ? (await this.read(this.legacyFile)).map(reviveDates) : [];
+      rewrite = this.docs.length > 0;
+    }
+
+    if (rewrite) await this.save();
+    if (this.legacyFile) await fs.promises.rm(this.legacyFile, { force: true });
+  }
+
+  serialize() {
+    return this.docs.map(doc => JSON.stringify(doc) + '\n').join('');
+  }
+
+  async writeFile() {
+    await super.writeFile();
+    this.damaged = false;
+  }
+
+  // The doc joins this.docs only once it is on disk
+  async insert(data) {
+    const doc = this.build(data);
+    await this.write(async () => {
+      if (this.damaged) {
+        this.docs.push(doc);
+        try {
+          await this.writeFile();
+        } catch (error) {
+          this.docs = this.docs.filter(d => d !== doc);
+          throw error;
+        }
+        return;
+      }
+
+      try {
+        await fs.promises.appendFile(this.file, JSON.stringify(doc) + '\n');
+      } catch (error) {
+        this.damaged = true;
+        throw error;
+      }
+      this.docs.push(doc);
+    });
+    return structuredClone(doc);
+  }
+}
+
+export function createFileStore({ dataDir }) {
+  const users = new FileCollection(path.join(dataDir, 'users.json'));
+  const predictions = new AppendOnlyCollection(path.join(dataDir, 'predictions.jsonl'), path.join(dataDir, 'predictions.json'));
+  const recordings = new FileCollection(path.join(dataDir, 'recordings.json'));
+  const calibrations = new FileCollection(path.join(dataDir, 'calibrations.json'));
+  const consents = new FileCollection(path.join(dataDir, 'consents.json'));
+  const audit = new AppendOnlyCollection(path.join(dataDir, 'audit.jsonl'), path.join(dataDir, 'audit.json'));
+  const collections = [users, predictions, recordings, calibrations, consents, audit];
+  let ready = false;
+
+  const newestFirst = (field) => (a, b) => b[field] - a[field];
+  const hasSignal = (p) => p.signal !== undefined || p.signalEnvelope !== undefined;
+
+  // What a calibration carries of its paired reading
+  const withPairedReading = (calibration) => {
+    const reading = calibration.prediction ? predictions.findOne(p => p._id === calibration.prediction) : null;
+    return {
+      ...calibration,
+      prediction: reading && {
+        _id: reading._id,
+        systolic: reading.systolic,
+        diastolic: reading.diastolic,
+        raw: reading.raw,
+        heartRate: reading.heartRate,
+        features: reading.features,
+        featureSource: reading.featureSource,
+        signalQuality: reading.signalQuality,
+        modelVersion: reading.modelVersion,
+        timestamp: reading.timestamp
+      }
+    };
+  };
+
+  return {
+    backend: 'file',
+    location: dataDir,
+
+    async connect() {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      await Promise.all(collections.map(collection => collection.load()));
+      ready = true;
+    },
+
+    async close() {
+      await Promise.all(collections.map(collection => collection.writing.catch(() => {})));
+      ready = false;
+    },
+
+    isReady() {
+      return ready;
+    },
+
+    users: {
+      async create(data) {
+        const user = checkUser(data);
+        if (users.findOne(u => u.email === user.email)) {
+          throw new ValidationError(`User ${user.email} already exists`);
+        }
+        return users.insert(user);
+      },
+      async findByEmail(email) {
+        return users.findOne(u => u.email === email.toLowerCase().trim());
+      },
+      async findById(id) {
+        return users.findOne(u => u._id === String(id));
+      },
+      async setRole(id, role) {
+        if (!USER_ROLES.includes(role)) throw new ValidationError(`Invalid user role: ${role}`);
+        return users.update(u => u._id === String(id), u => { u.role = role; });
+      },
+      async delete(id) {
+        return users.remove(u => u._id === String(id));
+      }
+    },
+
+    predictions: {
+      async create(data) {
+        return predictions.insert({ ...checkPrediction(data), user: String(data.user) });
+      },
+      async findLatest(userId) {
+        return predictions.find(p => p.user === String(userId)).sort(newestFirst('timestamp'))[0] || null;
+      },
+      // Oldest first, or newest first for paged searches
+      async findInRange(userId, { from, to, limit = 0, skip = 0, newestFirst = false }) {
+        const found = predictions
+          .find(p => p.user === String(userId) && p.timestamp >= from && p.timestamp <= to)
+          .sort(newestFirst ? (a, b) => b.timestamp - a.timestamp : (a, b) => a.timestamp - b.timestamp);
+        return found.slice(skip, limit > 0 ? skip + limit : undefined);
+      },
+      async countInRange(userId, { from, to }) {
+        return predictions.find(p => p.user === String(userId) && p.timestamp >= from && p.timestamp <= to).length;
+      },
+      async findById(userId, id) {
+        return predictions.findOne(p => p._id === String(id) && p.user === String(userId));
+      },
+      // Latest reading of a capture session
+      async findBySession(userId, sessionId) {
+        return predictions
+          .find(p => p.user === String(userId) && p.sessionId === sessionId)
+          .sort(newestFirst('timestamp'))[0] || null;
+      },
+      // Every reading of a user, oldest first
+      async findByUser(userId) {
+        return predictions.find(p => p.user === String(userId)).sort((a, b) => a.timestamp - b.timestamp);
+      },
+      async deleteByUser(userId) {
+        return predictions.remove(p => p.user === String(userId));
+      },
+      // Drop raw signals taken before `before`; the readings themselves stay
+      async purgeSignals(before) {
+        const purgedAt = new Date();
+        return predictions.update(p => p.timestamp < before && hasSignal(p), p => {
+          delete p.signal;
+          delete p.timestamps;
+          delete p.rois;
+          delete p.signalEnvelope;
+          p.signalPurgedAt = purgedAt;
+        });
+      },
+      // Every reading that still has a signal, plaintext or sealed
+      async findWithSignal() {
+        return predictions.find(hasSignal);
+      },
+      // Replace the plaintext or previously sealed signal with `envelope`
+      async setSignalEnvelope(id, envelope) {
+        await predictions.update(p => p._id === String(id), p => {
+          delete p.signal;
+          delete p.timestamps;
+          delete p.rois;
+          p.signalEnvelope = envelope;
+        });
+      }
+    },
+
+    recordings: {
+      async create(data) {
+        const recording = checkRecording(data);
+        return recordings.insert({
+          ...recording,
+          user: String(recording.user),
+          prediction: recording.prediction ? String(recording.prediction) : undefined
+        });
+      },
+      // Newest first, with the linked prediction filled in
+      async list(userId, { limit = 10, skip = 0 } = {}) {
+        return recordings
+          .find(r => r.user === String(userId))
+          .sort(newestFirst('createdAt'))
+          .slice(skip, skip + limit)
+          .map(r => ({
+            ...r,
+            prediction: r.prediction ? predictions.findOne(p => p._id === r.prediction) : null
+          }));
+      },
+      async findByFilename(userId, filename) {
+        return recordings.findOne(r => r.user === String(userId) && r.filename === filename);
+      },
+      async findByUser(userId) {
+        return recordings.find(r => r.user === String(userId)).sort((a, b) => a.createdAt - b.createdAt);
+      },
+      async findOlderThan(before) {
+        return recordings.find(r => r.createdAt < before);
+      },
+      // Attach a session's unlinked recordings to its reading
+      async linkSession(userId, sessionId, predictionId) {
+        return recordings.update(
+          r => r.user === String(userId) && r.sessionId === sessionId && !r.prediction,
+          r => {
+            r.prediction = String(predictionId);
+          }
+        );
+      },
+      async deleteByUser(userId) {
+        return recordings.remove(r => r.user === String(userId));
+      },
+      async deleteByIds(ids) {
+        const doomed = new Set(ids.map(String));
+        return recordings.remove(r => doomed.has(r._id));
+      }
+    },
+
+    calibrations: {
+      async create(data) {
+        const calibration = checkCalibration(data);
+        return calibrations.insert({
+          ...calibration,
+          user: String(calibration.user),
+          prediction: calibration.prediction ? String(calibration.prediction) : null
+        });
+      },
+      // Newest first, with the paired reading (without its signal) filled in
+      async findByUser(userId) {
+        return calibrations
+          .find(c => c.user === String(userId))
+          .sort(newestFirst('measuredAt'))
+          .map(withPairedReading);
+      },
+      // Paired calibrations of one user, or of everyone without `user`; oldest first
+      async findPaired({ user } = {}) {
+        return calibrations
+          .find(c => c.prediction && (!user || c.user === String(user)))
+          .sort((a, b) => a.measuredAt - b.measuredAt)
+          .map(withPairedReading);
+      },
+      async findUnlinked(userId, { from, to }) {
+        return calibrations.find(c => c.user === String(userId) && !c.prediction && c.measuredAt >= from && c.measuredAt <= to);
+      },
+      async link(id, predictionId) {
+        await calibrations.update(c => c._id === String(id), c => {
+          c.prediction = String(predictionId);
+        });
+      },
+      async deleteByUser(userId) {
+        return calibrations.remove(c => c.user === String(userId));
+      }
+    },
+
+    consents: {
+      async create(data) {
+        return consents.insert({ ...checkConsent(data), user: String(data.user) });
+      },
+      // Newest first (insertion order breaks timestamp ties)
+      async findByUser(userId) {
+        return consents.find(c => c.user === String(userId)).reverse().sort(newestFirst('timestamp'));
+      },
+      async deleteByUser(userId) {
+        return consents.remove(c => c.user === String(userId));
+      }
+    },
+
+    audit: {
+      async create(data) {
+        const entry = checkAudit(data);
+        if (audit.findOne(e => e.seq === entry.seq)) {
+          throw Object.assign(new ValidationError(`Audit entry ${entry.seq} already exists`), { code: DUPLICATE_KEY });
+        }
+        return audit.insert(entry);
+      },
+      async findLast() {
+        return audit.find(() => true).sort((a, b) => b.seq - a.seq)[0] || null;
+      },
+      // Newest first
+      async find({ actor, action, resourceId, subject, outcome, from, to, limit = 100, skip = 0 } = {}) {
+        const filters = Object.entries({ actor, action, resourceId, subject, outcome })
+          .filter(([, value]) => value !== undefined);
+        return audit
+          .find(e => filters.every(([field, value]) => e[field] === value)
+            && (!from || e.timestamp >= from)
+            && (!to || e.timestamp <= to))
+          .sort((a, b) => b.seq - a.seq)
+          .slice(skip, skip + limit);
+      },
+      // Entries from `fromSeq` on, in chain order
+      async findChain(fromSeq, limit) {
+        return audit.find(e => e.seq >= fromSeq).sort((a, b) => a.seq - b.seq).slice(0, limit);
+      }
+    }
+  };
+}
+
+export default createFileStore;
@@ -0,0 +1,43 @@
+import { createMongoStore } from './mongo-store.js';
+import { createFileStore } from './file-store.js';
+import { sealSignals } from './sealed-signals.js';
+import { chainAudit } from './audit-chain.js';
+
+/**
+ * Persistence for users, predictions, recordings, calibrations, consents and audit events.
+ *
+ * Every backend exposes the same shape:
+ *   connect(), close(), isReady(), backend, location
+ *   users:       create, findByEmail, findById, setRole, delete
+ *   predictions: create, findLatest, findInRange, countInRange, findById, findBySession, findByUser,
+ *                deleteByUser, purgeSignals, findWithSignal, setSignalEnvelope
+ *   recordings:  create, list, findByFilename, findByUser, findOlderThan, linkSession, deleteByUser,
+ *                deleteByIds
+ *   calibrations: create, findByUser, findPaired, findUnlinked, link, deleteByUser
+ *   consents:    create, findByUser, deleteByUser
+ *   audit:       create, findLast, find, findChain (+ verify, added by chainAudit)
+ * and returns plain objects with an `_id`.
+ *
+ * Audit entries are always hash chained (audit-chain.js). With `encryption`
+ * (src/services/encryption.js) signals are sealed at rest; findWithSignal and
+ * setSignalEnvelope always work on the stored form.
+ */
+export function createStorage({ backend, mongo, file }, encryption = null) {
+  let store;
+  switch (backend) {
+    case 'mongo':
+      store = createMongoStore(mongo);
+      break;
+    case 'file':
+      store = createFileStore(file);
+      break;
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (expected "mongo" or "file")`);
+  }
+  store = chainAudit(store);
+  return encryption ? sealSignals(store, encryption) : store;
+}
+
+export { ValidationError } from './records.js';
+
+export default createStorage;
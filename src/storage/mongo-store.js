@@ -0,0 +1,539 @@
+import mongoose from 'mongoose';
+import { EMOTIONS, BP_LIMITS, PULSE_LIMITS, MIN_STORED_SAMPLES, FEATURE_SOURCES, AUDIT_OUTCOMES, CONSENT_SCOPES, USER_ROLES } from './records.js';
+
+// Enhanced Prediction schema with validation
+const predictionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  systolic: {
+    type: Number,
+    required: true,
+    min: BP_LIMITS.systolic.min,
+    max: BP_LIMITS.systolic.max
+  },
+  diastolic: {
+    type: Number,
+    required: true,
+    min: BP_LIMITS.diastolic.min,
+    max: BP_LIMITS.diastolic.max
+  },
+  emotion: {
+    type: String,
+    enum: EMOTIONS,
+    default: 'neutral'
+  },
+  suggestions: [{
+    type: String,
+    required: true
+  }],
+  // Plaintext signal; absent when it is stored sealed in signalEnvelope
+  signal: {
+    type: Array,
+    default: undefined,
+    required: function() {
+      return !this.signalEnvelope;
+    },
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length >= MIN_STORED_SAMPLES;
+      },
+      message: 'Signal must be an array with at least 100 samples'
+    }
+  },
+  // Encrypted { signal, timestamps, rois } with its wrapped data key (src/services/encryption.js)
+  signalEnvelope: {
+    type: {
+      keyId: String,
+      wrappedKey: String,
+      data: String
+    },
+    default: undefined
+  },
+  // Per-sample capture times (ms) when the client sent them
+  timestamps: {
+    type: [Number],
+    default: undefined
+  },
+  // Per-sample face ROI [x, y, width, height] as fractions of the frame, when the client sent them
+  rois: {
+    type: [[Number]],
+    default: undefined
+  },
+  // Uniform rate the features were computed at (Hz)
+  sampleRate: Number,
+  // Pulse rate (BPM) estimated from the same trace
+  heartRate: Number,
+  // Model input exactly as computed (FEATURE_NAMES order)
+  features: {
+    type: [Number],
+    default: undefined
+  },
+  // Trace the features were computed from, see FEATURE_SOURCES
+  featureSource: {
+    type: String,
+    enum: FEATURE_SOURCES
+  },
+  signalQuality: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Registry version of the model that produced systolic/diastolic
+  modelVersion: {
+    type: String,
+    index: true
+  },
+  // Interval around systolic/diastolic: value ± margin at the given coverage level
+  uncertainty: {
+    type: {
+      method: String,
+      level: Number,
+      systolicMargin: Number,
+      diastolicMargin: Number,
+      systolicStdError: Number,
+      diastolicStdError: Number
+    },
+    default: undefined
+  },
+  // Model output before personal calibration; systolic/diastolic hold the reported values
+  raw: {
+    type: {
+      systolic: Number,
+      diastolic: Number
+    },
+    default: undefined
+  },
+  // Per-user correction applied to raw (src/services/calibration.js), absent when uncalibrated
+  personalCalibration: {
+    type: {
+      method: String,
+      pairs: Number,
+      calibratedAt: Date,
+      systolic: { offset: Number, slope: Number },
+      diastolic: { offset: Number, slope: Number }
+    },
+    default: undefined
+  },
+  // Client-generated id of the capture session, shared with its recording
+  sessionId: {
+    type: String,
+    index: true
+  },
+  userAgent: String,
+  ipAddress: String,
+  // Set when the retention policy removed signal/timestamps
+  signalPurgedAt: Date,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Enhanced Recording schema
+const recordingSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  prediction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prediction',
+    index: true
+  },
+  // Capture session; the prediction is linked once the session's reading is saved
+  sessionId: {
+    type: String,
+    index: true
+  },
+  // When capture began, on the clock the session's sample timestamps use
+  startedAt: Date,
+  metadata: Object
+}, {
+  timestamps: true
+});
+
+// User accounts; readings and recordings belong to exactly one user
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user'
+  }
+}, {
+  timestamps: true
+});
+
+// Cuff reference reading entered by the user, paired with a VasoVue reading
+const calibrationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  systolic: {
+    type: Number,
+    required: true,
+    min: BP_LIMITS.systolic.min,
+    max: BP_LIMITS.systolic.max
+  },
+  diastolic: {
+    type: Number,
+    required: true,
+    min: BP_LIMITS.diastolic.min,
+    max: BP_LIMITS.diastolic.max
+  },
+  pulse: {
+    type: Number,
+    min: PULSE_LIMITS.min,
+    max: PULSE_LIMITS.max
+  },
+  // Cuff model, free text
+  device: String,
+  measuredAt: {
+    type: Date,
+    required: true
+  },
+  // Unset until a reading within the pairing window exists
+  prediction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prediction',
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// One record per decision; the newest per scope is the one in force
+const consentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  scope: {
+    type: String,
+    enum: CONSENT_SCOPES,
+    required: true
+  },
+  // Version of the consent text the user was shown
+  version: {
+    type: String,
+    required: true
+  },
+  granted: {
+    type: Boolean,
+    required: true
+  },
+  userAgent: String,
+  ipAddress: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Access trail for health data; entries are hash chained by seq (see audit-chain.js)
+const auditSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  actor: {
+    type: String,
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  resourceId: {
+    type: String,
+    index: true
+  },
+  // User whose data was touched
+  subject: {
+    type: String,
+    index: true
+  },
+  outcome: {
+    type: String,
+    enum: AUDIT_OUTCOMES,
+    default: 'success'
+  },
+  details: Object,
+  ip: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// What a calibration carries of its paired reading
+const PAIRED_READING_FIELDS = 'systolic diastolic raw heartRate features featureSource signalQuality modelVersion timestamp';
+
+// MongoDB storage through Mongoose; records come back as plain objects
+export function createMongoStore({ uri, dbName }) {
+  const User = mongoose.model('User', userSchema);
+  const Prediction = mongoose.model('Prediction', predictionSchema);
+  const Recording = mongoose.model('Recording', recordingSchema);
+  const Calibration = mongoose.model('Calibration', calibrationSchema);
+  const Consent = mongoose.model('Consent', consentSchema);
+  const AuditEvent = mongoose.model('AuditEvent', auditSchema);
+
+  return {
+    backend: 'mongo',
+    // Without the credentials, as it ends up in logs
+    location: uri.replace(/\/\/[^@/]*@/, '//***@'),
+
+    async connect() {
+      await mongoose.connect(uri, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        dbName,
+        retryWrites: true,
+        w: 'majority'
+      });
+    },
+
+    async close() {
+      await mongoose.disconnect();
+    },
+
+    isReady() {
+      return mongoose.connection.readyState === 1;
+    },
+
+    users: {
+      async create(data) {
+        return (await User.create(data)).toObject();
+      },
+      findByEmail(email) {
+        return User.findOne({ email: email.toLowerCase().trim() }).lean();
+      },
+      findById(id) {
+        return mongoose.isValidObjectId(id) ? User.findById(id).lean() : null;
+      },
+      async setRole(id, role) {
+        return (await User.updateOne({ _id: id }, { role }, { runValidators: true })).matchedCount;
+      },
+      async delete(id) {
+        return (await User.deleteOne({ _id: id })).deletedCount;
+      }
+    },
+
+    predictions: {
+      async create(data) {
+        return (await Prediction.create(data)).toObject();
+      },
+      findLatest(userId) {
+        return Prediction.findOne({ user: userId }).sort({ timestamp: -1 }).lean();
+      },
+      // Oldest first, or newest first for paged searches
+      findInRange(userId, { from, to, limit = 0, skip = 0, newestFirst = false }) {
+        return Prediction.find({ user: userId, timestamp: { $gte: from, $lte: to } })
+          .sort({ timestamp: newestFirst ? -1 : 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean();
+      },
+      countInRange(userId, { from, to }) {
+        return Prediction.countDocuments({ user: userId, timestamp: { $gte: from, $lte: to } });
+      },
+      findById(userId, id) {
+        return mongoose.isValidObjectId(id) ? Prediction.findOne({ _id: id, user: userId }).lean() : null;
+      },
+      // Latest reading of a capture session
+      findBySession(userId, sessionId) {
+        return Prediction.findOne({ user: userId, sessionId }).sort({ timestamp: -1 }).lean();
+      },
+      // Every reading of a user, oldest first
+      findByUser(userId) {
+        return Prediction.find({ user: userId }).sort({ timestamp: 1 }).lean();
+      },
+      async deleteByUser(userId) {
+        return (await Prediction.deleteMany({ user: userId })).deletedCount;
+      },
+      // Drop raw signals taken before `before`; the readings themselves stay
+      async purgeSignals(before) {
+        const result = await Prediction.updateMany(
+          { timestamp: { $lt: before }, $or: [{ signal: { $exists: true } }, { signalEnvelope: { $exists: true } }] },
+          { $unset: { signal: 1, timestamps: 1, rois: 1, signalEnvelope: 1 }, $set: { signalPurgedAt: new Date() } }
+        );
+        return result.modifiedCount;
+      },
+      // Every reading that still has a signal, plaintext or sealed
+      findWithSignal() {
+        return Prediction.find({ $or: [{ signal: { $exists: true } }, { signalEnvelope: { $exists: true } }] }).lean();
+      },
+      // Replace the plaintext or previously sealed signal with `envelope`
+      async setSignalEnvelope(id, envelope) {
+        await Prediction.updateOne(
+          { _id: id },
+          { $set: { signalEnvelope: envelope }, $unset: { signal: 1, timestamps: 1, rois: 1 } }
+        );
+      }
+    },
+
+    recordings: {
+      async create(data) {
+        return (await Recording.create(data)).toObject();
+      },
+      // Newest first, with the linked prediction filled in
+      list(userId, { limit = 10, skip = 0 } = {}) {
+        return Recording.find({ user: userId })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .populate('prediction')
+          .lean();
+      },
+      findByFilename(userId, filename) {
+        return Recording.findOne({ user: userId, filename }).lean();
+      },
+      findByUser(userId) {
+        return Recording.find({ user: userId }).sort({ createdAt: 1 }).lean();
+      },
+      findOlderThan(before) {
+        return Recording.find({ createdAt: { $lt: before } }).lean();
+      },
+      // Attach a session's unlinked recordings to its reading
+      async linkSession(userId, sessionId, predictionId) {
+        const result = await Recording.updateMany(
+          { user: userId, sessionId, prediction: { $in: [null, undefined] } },
+          { $set: { prediction: predictionId } }
+        );
+        return result.modifiedCount;
+      },
+      async deleteByUser(userId) {
+        return (await Recording.deleteMany({ user: userId })).deletedCount;
+      },
+      async deleteByIds(ids) {
+        return (await Recording.deleteMany({ _id: { $in: ids } })).deletedCount;
+      }
+    },
+
+    calibrations: {
+      async create(data) {
+        return (await Calibration.create(data)).toObject();
+      },
+      // Newest first, with the paired reading (without its signal) filled in
+      findByUser(userId) {
+        return Calibration.find({ user: userId })
+          .sort({ measuredAt: -1 })
+          .populate('prediction', PAIRED_READING_FIELDS)
+          .lean();
+      },
+      // Paired calibrations of one user, or of everyone without `user`; oldest first
+      findPaired({ user } = {}) {
+        return Calibration.find({ ...(user ? { user } : {}), prediction: { $exists: true, $ne: null } })
+          .sort({ measuredAt: 1 })
+          .populate('prediction', PAIRED_READING_FIELDS)
+          .lean();
+      },
+      findUnlinked(userId, { from, to }) {
+        return Calibration.find({ user: userId, prediction: null, measuredAt: { $gte: from, $lte: to } }).lean();
+      },
+      async link(id, predictionId) {
+        await Calibration.updateOne({ _id: id }, { $set: { prediction: predictionId } });
+      },
+      async deleteByUser(userId) {
+        return (await Calibration.deleteMany({ user: userId })).deletedCount;
+      }
+    },
+
+    consents: {
+      async create(data) {
+        return (await Consent.create(data)).toObject();
+      },
+      // Newest first
+      findByUser(userId) {
+        return Consent.find({ user: userId }).sort({ timestamp: -1, _id: -1 }).lean();
+      },
+      async deleteByUser(userId) {
+        return (await Consent.deleteMany({ user: userId })).deletedCount;
+      }
+    },
+
+    audit: {
+      async create(data) {
+        return (await AuditEvent.create(data)).toObject();
+      },
+      findLast() {
+        return AuditEvent.findOne().sort({ seq: -1 }).lean();
+      },
+      // Newest first
+      find({ actor, action, resourceId, subject, outcome, from, to, limit = 100, skip = 0 } = {}) {
+        const query = Object.fromEntries(
+          Object.entries({ actor, action, resourceId, subject, outcome }).filter(([, value]) => value !== undefined)
+        );
+        if (from || to) {
+          query.timestamp = {};
+          if (from) query.timestamp.$gte = from;
+          if (to) query.timestamp.$lte = to;
+        }
+        return AuditEvent.find(query).sort({ seq: -1 }).skip(skip).limit(limit).lean();
+      },
+      // Entries from `fromSeq` on, in chain order
+      findChain(fromSeq, limit) {
+        return AuditEvent.find({ seq: { $gte: fromSeq } }).sort({ seq: 1 }).limit(limit).lean();
+      }
+    }
+  };
+}
+
+export default createMongoStore;
@@ -0,0 +1,121 @@
+// Rules every storage backend applies to stored records
+
+export const EMOTIONS = ['happy', 'neutral', 'sad', 'angry', 'surprised', 'disgusted', 'fearful'];
+
+export const BP_LIMITS = {
+  systolic: { min: 50, max: 250 },
+  diastolic: { min: 30, max: 150 }
+};
+
+export const MIN_STORED_SAMPLES = 100;
+
+// What a prediction's features were computed from: the uniform raw trace, like Features.py
+// (every endpoint now, see analyzeSignal), or its bandpassed, z-scored form (stored by
+// /api/process-rppg before it shared that path). Only same-source features are comparable;
+// readings stored before the field existed came from /api/predict.
+export const FEATURE_SOURCES = ['raw', 'prepared'];
+
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// Same checks and defaults as the Mongoose prediction schema
+export function checkPrediction(data) {
+  if (!data.user) throw new ValidationError('Prediction user is required');
+
+  for (const field of ['systolic', 'diastolic']) {
+    const value = data[field];
+    if (typeof value !== 'number' || value < BP_LIMITS[field].min || value > BP_LIMITS[field].max) {
+      throw new ValidationError(`Invalid ${field} value: ${value}`);
+    }
+  }
+
+  const emotion = data.emotion ?? 'neutral';
+  if (!EMOTIONS.includes(emotion)) {
+    throw new ValidationError(`Invalid emotion: ${emotion}`);
+  }
+  if (!data.signalEnvelope && (!Array.isArray(data.signal) || data.signal.length < MIN_STORED_SAMPLES)) {
+    throw new ValidationError(`Signal must be an array with at least ${MIN_STORED_SAMPLES} samples`);
+  }
+  if (data.signalQuality != null && (data.signalQuality < 0 || data.signalQuality > 100)) {
+    throw new ValidationError(`Invalid signalQuality value: ${data.signalQuality}`);
+  }
+  if (data.featureSource != null && !FEATURE_SOURCES.includes(data.featureSource)) {
+    throw new ValidationError(`Invalid featureSource: ${data.featureSource}`);
+  }
+
+  return { ...data, emotion, timestamp: data.timestamp ? new Date(data.timestamp) : new Date() };
+}
+
+export function checkRecording(data) {
+  for (const field of ['user', 'filename', 'path', 'mimetype']) {
+    if (!data[field]) throw new ValidationError(`Recording ${field} is required`);
+  }
+  if (typeof data.size !== 'number' || data.size < 0) {
+    throw new ValidationError(`Invalid recording size: ${data.size}`);
+  }
+  return data;
+}
+
+export const AUDIT_OUTCOMES = ['success', 'failure'];
+
+export function checkAudit(data) {
+  for (const field of ['actor', 'action']) {
+    if (!data[field]) throw new ValidationError(`Audit ${field} is required`);
+  }
+  const outcome = data.outcome ?? 'success';
+  if (!AUDIT_OUTCOMES.includes(outcome)) {
+    throw new ValidationError(`Invalid audit outcome: ${outcome}`);
+  }
+  return { ...data, outcome, timestamp: data.timestamp ? new Date(data.timestamp) : new Date() };
+}
+
+export const PULSE_LIMITS = { min: 30, max: 220 };
+
+// Cuff reference reading, optionally paired with the VasoVue reading taken next to it
+export function checkCalibration(data) {
+  if (!data.user) throw new ValidationError('Calibration user is required');
+  for (const field of ['systolic', 'diastolic']) {
+    const value = data[field];
+    if (typeof value !== 'number' || value < BP_LIMITS[field].min || value > BP_LIMITS[field].max) {
+      throw new ValidationError(`Invalid cuff ${field} value: ${value}`);
+    }
+  }
+  if (data.pulse != null && (data.pulse < PULSE_LIMITS.min || data.pulse > PULSE_LIMITS.max)) {
+    throw new ValidationError(`Invalid cuff pulse value: ${data.pulse}`);
+  }
+  return { ...data, measuredAt: data.measuredAt ? new Date(data.measuredAt) : new Date() };
+}
+
+// What a consent record can cover, see src/services/consent.js
+export const CONSENT_SCOPES = ['video_storage', 'signal_storage', 'research'];
+
+export function checkConsent(data) {
+  for (const field of ['user', 'version']) {
+    if (!data[field]) throw new ValidationError(`Consent ${field} is required`);
+  }
+  if (!CONSENT_SCOPES.includes(data.scope)) {
+    throw new ValidationError(`Invalid consent scope: ${data.scope}`);
+  }
+  if (typeof data.granted !== 'boolean') {
+    throw new ValidationError('Consent granted must be true or false');
+  }
+  return { ...data, timestamp: data.timestamp ? new Date(data.timestamp) : new Date() };
+}
+
+// Admins may read the audit trail and the research exports (see scripts/set-role.js)
+export const USER_ROLES = ['user', 'admin'];
+
+export function checkUser(data) {
+  if (!data.email || !data.passwordHash) {
+    throw new ValidationError('User email and passwordHash are required');
+  }
+  const role = data.role ?? 'user';
+  if (!USER_ROLES.includes(role)) {
+    throw new ValidationError(`Invalid user role: ${role}`);
+  }
+  return { ...data, role, email: data.email.toLowerCase().trim(), name: data.name?.trim() };
+}
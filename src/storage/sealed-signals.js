@@ -0,0 +1,54 @@
+import { checkPrediction } from './records.js';
+
+/**
+ * Wrap a store so prediction signals (and their timestamps and ROIs) are written as an
+ * encrypted envelope and decrypted again whenever a reading is read back.
+ * Readings written before encryption was enabled are returned as stored.
+ */
+export function sealSignals(store, encryption) {
+  const { predictions, recordings } = store;
+
+  const open = (doc) => {
+    if (!doc?.signalEnvelope) return doc;
+    const { signalEnvelope, ...reading } = doc;
+    return { ...reading, ...encryption.openJson(signalEnvelope) };
+  };
+
+  return {
+    ...store,
+
+    predictions: {
+      ...predictions,
+      async create(data) {
+        if (!encryption.enabled) return predictions.create(data);
+        const { signal, timestamps, rois, ...reading } = checkPrediction(data);
+        const saved = await predictions.create({ ...reading, signalEnvelope: encryption.sealJson({ signal, timestamps, rois }) });
+        return open(saved);
+      },
+      async findLatest(userId) {
+        return open(await predictions.findLatest(userId));
+      },
+      async findInRange(userId, options) {
+        return (await predictions.findInRange(userId, options)).map(open);
+      },
+      async findById(userId, id) {
+        return open(await predictions.findById(userId, id));
+      },
+      async findBySession(userId, sessionId) {
+        return open(await predictions.findBySession(userId, sessionId));
+      },
+      async findByUser(userId) {
+        return (await predictions.findByUser(userId)).map(open);
+      }
+    },
+
+    recordings: {
+      ...recordings,
+      async list(userId, options) {
+        return (await recordings.list(userId, options)).map(r => ({ ...r, prediction: open(r.prediction) }));
+      }
+    }
+  };
+}
+
+export default sealSignals;
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAuth } from '../src/services/auth.js';
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    cookies: {},
+    cookie(name, value) { this.cookies[name] = value; },
+    clearCookie(name) { this.cookies[name] = null; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+const bearer = token => ({ get: name => (name === 'Authorization' ? `Bearer ${token}` : undefined), headers: {} });
+
+async function runRequireAuth(auth, req) {
+  const res = fakeResponse();
+  let nextCalled = false;
+  await auth.requireAuth(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('requireAuth rejects tokens of accounts that were deleted', async () => {
+  const accounts = new Map([['u1', { _id: 'u1', email: 'ada@example.com' }]]);
+  const auth = createAuth({ jwtSecret: 'secret', findUser: async id => accounts.get(id) ?? null });
+  const token = auth.issue(fakeResponse(), accounts.get('u1'));
+
+  const req = bearer(token);
+  const allowed = await runRequireAuth(auth, req);
+  assert.equal(allowed.nextCalled, true);
+  assert.deepEqual(req.user, { id: 'u1', email: 'ada@example.com', role: 'user' });
+  assert.deepEqual(await auth.currentUser(bearer(token)), { id: 'u1', email: 'ada@example.com', role: 'user' });
+
+  accounts.delete('u1');
+  const denied = await runRequireAuth(auth, bearer(token));
+  assert.equal(denied.nextCalled, false);
+  assert.equal(denied.res.statusCode, 401);
+  assert.equal(denied.res.body.error, 'Account no longer exists');
+  assert.equal(await auth.currentUser(bearer(token)), null);
+});
+
+test('requireAuth rejects missing and forged tokens without a lookup', async () => {
+  const auth = createAuth({ jwtSecret: 'secret', findUser: async () => assert.fail('no lookup expected') });
+  const forged = createAuth({ jwtSecret: 'other', findUser: async () => null }).issue(fakeResponse(), { _id: 'u1', email: 'a@b.c' });
+
+  assert.equal((await runRequireAuth(auth, { get: () => undefined, headers: {} })).res.statusCode, 401);
+  assert.equal((await runRequireAuth(auth, bearer(forged))).res.statusCode, 401);
+});
+
+test('admin access follows the stored role, not the email address', async () => {
+  const accounts = new Map([
+    ['u1', { _id: 'u1', email: 'admin@example.com' }],
+    ['u2', { _id: 'u2', email: 'someone@example.com', role: 'admin' }]
+  ]);
+  const auth = createAuth({ jwtSecret: 'secret', findUser: async id => accounts.get(id) ?? null });
+
+  const requireAdmin = async (account) => {
+    const req = bearer(auth.issue(fakeResponse(), account));
+    await runRequireAuth(auth, req);
+    const res = fakeResponse();
+    let nextCalled = false;
+    auth.requireAdmin(req, res, () => { nextCalled = true; });
+    return nextCalled || res.statusCode;
+  };
+
+  assert.equal(await requireAdmin(accounts.get('u1')), 403);
+  assert.equal(await requireAdmin(accounts.get('u2')), true);
+});
@@ -0,0 +1,89 @@
+/**
+ * Tree-ensemble evaluator in src/services/bp-predictor.js.
+ *
+ * bp_model_v1_predictions.json holds sklearn's pipeline.predict() and the
+ * per-tree standard deviation for model/registry/v1, computed from the
+ * bp_predictor.pkl that export_model.py exported it from.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createPredictor } from '../src/services/bp-predictor.js';
+import { FEATURE_NAMES } from '../Public/static/js/rppg-features.js';
+
+const rootDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const expected = JSON.parse(fs.readFileSync(path.join(rootDir, 'test', 'fixtures', 'bp_model_v1_predictions.json'), 'utf8'));
+
+function assertClose(actual, expected, message, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} != ${expected}`);
+}
+
+async function writeModel(model) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bp-predictor-'));
+  const modelPath = path.join(dir, 'model.json');
+  await fs.promises.writeFile(modelPath, JSON.stringify(model));
+  return modelPath;
+}
+
+// Two stumps on mean_amplitude (feature 0) and num_peaks (feature 3)
+const stumps = {
+  feature_names: FEATURE_NAMES,
+  scaler: null,
+  trees: [
+    { children_left: [1, -1, -1], children_right: [2, -1, -1], feature: [0, -2, -2], threshold: [0.5, -2, -2], value: [[0, 0], [100, 60], [140, 90]] },
+    { children_left: [1, -1, -1], children_right: [2, -1, -1], feature: [3, -2, -2], threshold: [10, -2, -2], value: [[0, 0], [110, 70], [130, 80]] }
+  ]
+};
+
+test('tree ensemble averages leaf values and reports the spread between trees', async () => {
+  const predictor = await createPredictor({ backend: 'node', modelPath: await writeModel(stumps) });
+  const features = new Array(FEATURE_NAMES.length).fill(0);
+
+  // Left leaf on equality, like sklearn's x <= threshold
+  assert.deepEqual(await predictor.predict([0.5, 0, 0, 10, 0, 0, 0, 0, 0, 0, 0]),
+    { systolic: 105, diastolic: 65, spread: { systolic: 5, diastolic: 5 } });
+
+  features[0] = 1;
+  features[3] = 20;
+  assert.deepEqual(await predictor.predict(features),
+    { systolic: 135, diastolic: 85, spread: { systolic: 5, diastolic: 5 } });
+});
+
+test('tree ensemble standardizes features with the exported scaler', async () => {
+  const scaler = { mean: FEATURE_NAMES.map(() => 2), scale: FEATURE_NAMES.map(() => 4) };
+  const predictor = await createPredictor({ backend: 'node', modelPath: await writeModel({ ...stumps, scaler }) });
+
+  // (4 - 2) / 4 = 0.5 stays left, (50 - 2) / 4 = 12 goes right
+  const features = new Array(FEATURE_NAMES.length).fill(2);
+  features[0] = 4;
+  features[3] = 50;
+  const { systolic, diastolic } = await predictor.predict(features);
+  assert.equal(systolic, 115);
+  assert.equal(diastolic, 70);
+});
+
+test('tree ensemble rejects a model trained on other features', async () => {
+  const modelPath = await writeModel({ ...stumps, feature_names: ['mean_amplitude'] });
+  await assert.rejects(createPredictor({ backend: 'node', modelPath }), /expects features/);
+  await assert.rejects(createPredictor({ backend: 'node', modelPath: await writeModel({ trees: [] }) }), /has no trees/);
+});
+
+test(`registry model ${expected.version} matches the sklearn pipeline it was exported from`, async () => {
+  const predictor = await createPredictor({
+    backend: 'node',
+    modelPath: path.join(rootDir, 'model', 'registry', expected.version, 'model.json')
+  });
+  assert.equal(predictor.format, 'tree-ensemble');
+
+  for (const { features, systolic, diastolic, spread } of expected.cases) {
+    const prediction = await predictor.predict(features);
+    assertClose(prediction.systolic, systolic, 'systolic');
+    assertClose(prediction.diastolic, diastolic, 'diastolic');
+    assertClose(prediction.spread.systolic, spread.systolic, 'systolic spread');
+    assertClose(prediction.spread.diastolic, spread.diastolic, 'diastolic spread');
+  }
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DATASET_COLUMNS, toDatasetRows } from '../src/services/calibration.js';
+
+const features = (value) => new Array(DATASET_COLUMNS.length - 2).fill(value);
+const paired = [
+  { systolic: 120, diastolic: 80, prediction: { features: features(1), featureSource: 'raw' } },
+  // Stored before featureSource existed: taken by /api/predict
+  { systolic: 121, diastolic: 81, prediction: { features: features(2) } },
+  { systolic: 122, diastolic: 82, prediction: { features: features(3), featureSource: 'prepared' } },
+  { systolic: 123, diastolic: 83, prediction: null }
+];
+
+test('toDatasetRows keeps raw-trace features apart from bandpassed ones', () => {
+  assert.deepEqual(toDatasetRows(paired).map(row => [row.mean_amplitude, row.systolic_BP]), [[1, 120], [2, 121]]);
+  assert.deepEqual(toDatasetRows(paired, { featureSource: 'prepared' }).map(row => [row.mean_amplitude, row.systolic_BP]), [[3, 122]]);
+  assert.deepEqual(Object.keys(toDatasetRows(paired)[0]), DATASET_COLUMNS);
+});
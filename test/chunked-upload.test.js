@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createChunkedUploads } from '../src/services/chunked-upload.js';
+import { createEncryption } from '../src/services/encryption.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunked-upload-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const encryption = createEncryption({ keys: `k1:${crypto.randomBytes(32).toString('base64')}` });
+const uploads = createChunkedUploads({
+  directory: path.join(tempDir, 'partial'),
+  recordingsDir: path.join(tempDir, 'recordings'),
+  encryption,
+  maxBytes: 1024 * 1024,
+  chunkBytes: 64 * 1024,
+  ttlMs: 60 * 60 * 1000
+});
+
+async function startUpload(userId, video) {
+  const upload = await uploads.create(userId, {
+    size: video.length,
+    checksum: crypto.createHash('sha256').update(video).digest('hex'),
+    mimetype: 'video/webm'
+  });
+  await uploads.appendPart(userId, upload.id, 0, video.subarray(0, 10));
+  return upload;
+}
+
+test('deleteByUser drops the unfinished uploads of that user only', async () => {
+  const video = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), crypto.randomBytes(100)]);
+  const [first, second] = [await startUpload('u1', video), await startUpload('u1', video)];
+  const other = await startUpload('u2', video);
+
+  assert.equal(await uploads.deleteByUser('u1'), 2);
+  for (const { id } of [first, second]) {
+    assert.equal(await uploads.get('u1', id), null);
+    assert.equal(fs.existsSync(path.join(tempDir, 'partial', id)), false);
+  }
+  assert.equal((await uploads.get('u2', other.id)).received, 10);
+  assert.equal(await uploads.deleteByUser('u1'), 0);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONSENT_SCOPES, CONSENT_TEXTS, consentStatus, currentConsentText } from '../src/services/consent.js';
+
+test('every consent text version carries its own publication date', () => {
+  assert.deepEqual(Object.keys(CONSENT_TEXTS).sort(), [...CONSENT_SCOPES].sort());
+  for (const [scope, versions] of Object.entries(CONSENT_TEXTS)) {
+    for (const text of versions) {
+      assert.match(text.publishedAt, /^\d{4}-\d{2}-\d{2}$/, `${scope} v${text.version}`);
+    }
+    assert.equal(currentConsentText(scope), versions[versions.length - 1]);
+  }
+});
+
+test('consentStatus is valid only for a grant of the current version', () => {
+  const current = currentConsentText('research');
+  const status = consentStatus([
+    { scope: 'research', granted: true, version: current.version, timestamp: new Date() },
+    { scope: 'video_storage', granted: true, version: '0', timestamp: new Date() }
+  ]);
+
+  assert.equal(status.research.valid, true);
+  assert.equal(status.research.publishedAt, current.publishedAt);
+  assert.equal(status.video_storage.valid, false);
+  assert.equal(status.signal_storage.decision, null);
+});
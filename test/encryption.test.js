@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+import { createEncryption } from '../src/services/encryption.js';
+
+const masterKey = crypto.randomBytes(32);
+const encryption = createEncryption({ keys: `k1:${masterKey.toString('base64')}` });
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Plaintext cut into uneven writes, like an upload arriving in parts
+async function encryptToFile(name, plaintext) {
+  const filePath = path.join(tempDir, name);
+  const parts = [];
+  for (let offset = 0; offset < plaintext.length; offset += 50000) parts.push(plaintext.subarray(offset, offset + 50000));
+  await pipeline(Readable.from(parts), encryption.encryptStream(), fs.createWriteStream(filePath));
+  return filePath;
+}
+
+async function readRange(filePath, range) {
+  const opened = await encryption.openFile(filePath, range);
+  return Buffer.concat(await opened.stream.toArray());
+}
+
+test('encrypted files decrypt whole and by byte range across chunks', async () => {
+  const plaintext = crypto.randomBytes(200 * 1024 + 123);
+  const filePath = await encryptToFile('video.webm', plaintext);
+
+  assert.deepEqual(await encryption.statFile(filePath), { size: plaintext.length, seekable: true });
+  assert.ok((await encryption.readFile(filePath)).equals(plaintext));
+
+  for (const [start, end] of [[0, 0], [65535, 65536], [1000, 150000], [plaintext.length - 10, plaintext.length - 1]]) {
+    assert.ok((await readRange(filePath, { start, end })).equals(plaintext.subarray(start, end + 1)), `bytes ${start}-${end}`);
+  }
+});
+
+test('empty and chunk-aligned plaintexts round-trip', async () => {
+  for (const size of [0, 64 * 1024, 128 * 1024]) {
+    const plaintext = crypto.randomBytes(size);
+    const filePath = await encryptToFile(`aligned-${size}`, plaintext);
+    assert.equal((await encryption.statFile(filePath)).size, size);
+    assert.ok((await encryption.readFile(filePath)).equals(plaintext));
+  }
+});
+
+test('tampered or truncated chunks fail authentication', async () => {
+  const plaintext = crypto.randomBytes(150 * 1024);
+  const filePath = await encryptToFile('tampered.webm', plaintext);
+  const sealed = fs.readFileSync(filePath);
+
+  const flipped = Buffer.from(sealed);
+  flipped[flipped.length - 100] ^= 1;
+  fs.writeFileSync(filePath, flipped);
+  await assert.rejects(readRange(filePath, { start: plaintext.length - 10, end: plaintext.length - 1 }));
+  assert.ok((await readRange(filePath, { start: 0, end: 99 })).equals(plaintext.subarray(0, 100)));
+
+  // Dropping the final chunk leaves a chunk that was not sealed as the last one
+  fs.writeFileSync(filePath, sealed.subarray(0, sealed.length - (150 * 1024 - 128 * 1024) - 16));
+  await assert.rejects(encryption.readFile(filePath));
+});
+
+test('files from the single-tag format stay readable but not seekable', async () => {
+  const plaintext = crypto.randomBytes(1000);
+  const dataKey = crypto.randomBytes(32);
+
+  const wrapIv = crypto.randomBytes(12);
+  const wrap = crypto.createCipheriv('aes-256-gcm', masterKey, wrapIv);
+  const wrappedData = Buffer.concat([wrap.update(dataKey), wrap.final()]);
+  const wrappedKey = Buffer.concat([wrapIv, wrap.getAuthTag(), wrappedData]).toString('base64');
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+  const header = Buffer.from(JSON.stringify({ keyId: 'k1', wrappedKey, iv: iv.toString('base64') }));
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(header.length);
+  const filePath = path.join(tempDir, 'legacy.webm');
+  fs.writeFileSync(filePath, Buffer.concat([
+    Buffer.from('VVE1'), headerLength, header, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()
+  ]));
+
+  assert.deepEqual(await encryption.statFile(filePath), { size: 1000, seekable: false });
+  assert.ok((await encryption.readFile(filePath)).equals(plaintext));
+  await assert.rejects(encryption.openFile(filePath, { start: 10, end: 20 }), /not seekable/);
+
+  await encryption.reencryptFile(filePath);
+  assert.equal((await encryption.statFile(filePath)).seekable, true);
+  assert.ok((await readRange(filePath, { start: 10, end: 20 })).equals(plaintext.subarray(10, 21)));
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FeaturePool } from '../src/services/feature-pool.js';
+import { analyzeSignal } from '../Public/static/js/rppg-features.js';
+
+const trace = length => Array.from({ length }, (_, i) => 100 + Math.sin(2 * Math.PI * 1.2 * i / 30) + 0.1 * Math.sin(i));
+
+test('FeaturePool returns what analyzeSignal computes in-process', async () => {
+  const pool = new FeaturePool({ size: 2 });
+  try {
+    const signals = [trace(300), trace(450), trace(600)];
+    const results = await Promise.all(signals.map(signal => pool.analyze(signal, 30)));
+    results.forEach((result, i) => assert.deepEqual(result, analyzeSignal(signals[i], 30)));
+    assert.ok(pool.workers.size <= 2);
+
+    await assert.rejects(pool.analyze([1], 30), /Not enough samples/);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('aborting a running analysis frees its worker for the next call', async () => {
+  const pool = new FeaturePool({ size: 1 });
+  try {
+    const controller = new AbortController();
+    const slow = pool.analyze(trace(200000), 30, { signal: controller.signal });
+    const queued = pool.analyze(trace(300), 30);
+    setTimeout(() => controller.abort(new Error('Job timed out')), 50);
+
+    const started = Date.now();
+    await assert.rejects(slow, /Job timed out/);
+    assert.ok(Date.now() - started < 1000, 'rejected as soon as the job was aborted');
+    assert.deepEqual(await queued, analyzeSignal(trace(300), 30));
+  } finally {
+    await pool.close();
+  }
+});
+
+test('aborting a call that is still waiting takes it out of the queue', async () => {
+  const pool = new FeaturePool({ size: 1 });
+  try {
+    const controller = new AbortController();
+    const first = pool.analyze(trace(300), 30);
+    const waiting = pool.analyze(trace(300), 30, { signal: controller.signal });
+    controller.abort(new Error('cancelled'));
+
+    await assert.rejects(waiting, /cancelled/);
+    await first;
+    assert.equal(pool.waiting.length, 0);
+  } finally {
+    await pool.close();
+  }
+});
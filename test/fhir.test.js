@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toBundle, parsePagingParam } from '../src/services/fhir.js';
+
+const selfUrl = 'https://vasovue.test/api/fhir/Observation?date=ge2026-01-01&_count=2&_offset=2';
+const page = [{ id: 'c' }, { id: 'd' }];
+const links = (bundle) => Object.fromEntries(bundle.link.map(({ relation, url }) => [relation, url]));
+
+test('searchset bundles count every match and link the neighbouring pages', () => {
+  const bundle = toBundle(page, { type: 'searchset', baseUrl: 'https://vasovue.test/api/fhir', selfUrl, total: 5, offset: 2, count: 2 });
+
+  assert.equal(bundle.total, 5);
+  assert.deepEqual(bundle.entry.map(e => e.fullUrl), ['https://vasovue.test/api/fhir/Observation/c', 'https://vasovue.test/api/fhir/Observation/d']);
+  assert.deepEqual(links(bundle), {
+    self: selfUrl,
+    previous: 'https://vasovue.test/api/fhir/Observation?date=ge2026-01-01&_count=2&_offset=0',
+    next: 'https://vasovue.test/api/fhir/Observation?date=ge2026-01-01&_count=2&_offset=4'
+  });
+});
+
+test('the last page has no next link and collections have no paging', () => {
+  const last = toBundle(page, { type: 'searchset', baseUrl: 'https://vasovue.test/api/fhir', selfUrl, total: 4, offset: 2, count: 2 });
+  assert.deepEqual(Object.keys(links(last)), ['self', 'previous']);
+
+  const collection = toBundle(page, { type: 'collection', baseUrl: 'https://vasovue.test/api/fhir' });
+  assert.equal(collection.total, undefined);
+  assert.equal(collection.link, undefined);
+});
+
+test('_count=0 bundles carry the total without entries or page links', () => {
+  const summary = toBundle([], { type: 'searchset', baseUrl: 'https://vasovue.test/api/fhir', selfUrl, total: 5, offset: 2, count: 0 });
+  assert.equal(summary.total, 5);
+  assert.deepEqual(summary.entry, []);
+  assert.deepEqual(Object.keys(links(summary)), ['self']);
+});
+
+test('paging parameters must be non-negative integers', () => {
+  assert.equal(parsePagingParam(undefined, 100), 100);
+  assert.equal(parsePagingParam('', 100), 100);
+  assert.equal(parsePagingParam('0', 100), 0);
+  assert.equal(parsePagingParam('25', 100), 25);
+  for (const bad of ['-1', '1.5', 'ten', ['1', '2']]) {
+    assert.equal(parsePagingParam(bad, 100), null, String(bad));
+  }
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createFileStore } from '../src/storage/file-store.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const auditEntry = seq => ({ seq, action: 'login', actor: 'user-1', details: {}, prevHash: 'a', hash: `h${seq}` });
+
+async function openStore(dataDir) {
+  const store = createFileStore({ dataDir });
+  await store.connect();
+  return store;
+}
+
+const readLines = file => fs.readFileSync(file, 'utf8').trim().split('\n');
+
+test('audit entries are appended one line each and read back with their dates', async () => {
+  const dataDir = path.join(tempDir, 'append');
+  let store = await openStore(dataDir);
+  await store.audit.create(auditEntry(1));
+  await store.audit.create(auditEntry(2));
+  await store.close();
+
+  const lines = readLines(path.join(dataDir, 'audit.jsonl'));
+  assert.deepEqual(lines.map(line => JSON.parse(line).seq), [1, 2]);
+
+  store = await openStore(dataDir);
+  const latest = await store.audit.findLast();
+  assert.equal(latest.seq, 2);
+  assert.ok(latest.createdAt instanceof Date);
+  await store.close();
+});
+
+test('a legacy JSON array is converted to JSON Lines on load', async () => {
+  const dataDir = path.join(tempDir, 'legacy');
+  fs.mkdirSync(dataDir, { recursive: true });
+  const createdAt = new Date('2026-01-02T03:04:05Z');
+  fs.writeFileSync(path.join(dataDir, 'audit.json'), JSON.stringify([{ _id: 'x', ...auditEntry(1), createdAt, updatedAt: createdAt }]));
+
+  const store = await openStore(dataDir);
+  assert.deepEqual((await store.audit.findLast()).createdAt, createdAt);
+  await store.close();
+
+  assert.equal(fs.existsSync(path.join(dataDir, 'audit.json')), false);
+  assert.equal(readLines(path.join(dataDir, 'audit.jsonl')).length, 1);
+});
+
+test('a partial last line from an interrupted append is dropped, other damage is not', async () => {
+  const dataDir = path.join(tempDir, 'partial');
+  const file = path.join(dataDir, 'audit.jsonl');
+  let store = await openStore(dataDir);
+  await store.audit.create(auditEntry(1));
+  await store.close();
+  fs.appendFileSync(file, '{"seq":2,"act');
+
+  store = await openStore(dataDir);
+  assert.equal((await store.audit.findLast()).seq, 1);
+  await store.close();
+  assert.equal(readLines(file).length, 1);
+
+  fs.writeFileSync(file, `{"seq":1\n${JSON.stringify(auditEntry(2))}\n`);
+  await assert.rejects(openStore(dataDir), /audit\.jsonl line 1/);
+});
+
+test('a failed write rejects for its caller only and leaves memory matching the file', async () => {
+  const dataDir = path.join(tempDir, 'failing');
+  const store = await openStore(dataDir);
+  const auditFile = path.join(dataDir, 'audit.jsonl');
+  const usersFile = path.join(dataDir, 'users.json');
+  await store.audit.create(auditEntry(1));
+
+  // A directory in place of the file makes every write to it fail
+  fs.rmSync(auditFile);
+  fs.mkdirSync(auditFile);
+  await assert.rejects(store.audit.create(auditEntry(2)));
+  assert.equal((await store.audit.findLast()).seq, 1);
+
+  fs.mkdirSync(usersFile);
+  await assert.rejects(store.users.create({ email: 'ada@example.com', passwordHash: 'x' }));
+  assert.equal(await store.users.findByEmail('ada@example.com'), null);
+
+  // Once the files can be written again the next writes go through, the audit file rewritten whole
+  fs.rmdirSync(auditFile);
+  fs.rmdirSync(usersFile);
+  await store.audit.create(auditEntry(2));
+  await store.users.create({ email: 'ada@example.com', passwordHash: 'x' });
+  assert.deepEqual(readLines(auditFile).map(line => JSON.parse(line).seq), [1, 2]);
+  assert.equal(JSON.parse(fs.readFileSync(usersFile, 'utf8')).length, 1);
+  await store.close();
+});
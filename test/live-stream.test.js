@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import net from 'node:net';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+
+import { attachLiveStream } from '../src/services/live-stream.js';
+import { JobQueue } from '../src/services/job-queue.js';
+
+const model = {
+  version: 'test',
+  calibration: null,
+  predictor: { predict: async () => ({ systolic: 120, diastolic: 80 }) }
+};
+
+async function startServer() {
+  const server = http.createServer();
+  const wss = attachLiveStream(server, {
+    modelRegistry: { resolve: () => model },
+    jobs: new JobQueue({ concurrency: 1, retentionMs: 0 }),
+    authenticate: () => ({ id: 'user-1' }),
+    windowSeconds: 10,
+    updateIntervalMs: 50
+  });
+  server.listen(0);
+  await once(server, 'listening');
+  return { server, wss, port: server.address().port };
+}
+
+async function stopServer({ server, wss }) {
+  for (const client of wss.clients) client.terminate();
+  wss.close();
+  await new Promise(resolve => server.close(resolve));
+}
+
+// Upgrade a plain TCP socket by hand so it can send frames a real client never would
+async function rawUpgrade(port) {
+  const socket = net.connect(port);
+  await once(socket, 'connect');
+  socket.write([
+    'GET /api/stream HTTP/1.1',
+    `Host: localhost:${port}`,
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+    'Sec-WebSocket-Version: 13',
+    '', ''
+  ].join('\r\n'));
+  const [response] = await once(socket, 'data');
+  assert.match(response.toString(), /^HTTP\/1\.1 101/);
+  return socket;
+}
+
+async function connectClient(port) {
+  const client = new WebSocket(`ws://localhost:${port}/api/stream`);
+  const [ready] = await once(client, 'message');
+  assert.equal(JSON.parse(ready).type, 'ready');
+  return client;
+}
+
+test('an unmasked client frame closes that stream and leaves the server running', async () => {
+  const running = await startServer();
+  try {
+    const socket = await rawUpgrade(running.port);
+    const closed = once(socket, 'close');
+    socket.resume();
+    // FIN + text opcode, 2-byte payload, mask bit not set
+    socket.write(Buffer.from([0x81, 0x02, 0x7b, 0x7d]));
+    await closed;
+
+    const client = await connectClient(running.port);
+    client.close();
+  } finally {
+    await stopServer(running);
+  }
+});
+
+test('frames above the payload limit close the stream', async () => {
+  const running = await startServer();
+  try {
+    const client = await connectClient(running.port);
+    const closed = once(client, 'close');
+    client.send('x'.repeat(128 * 1024));
+    const [code] = await closed;
+    assert.equal(code, 1009);
+  } finally {
+    await stopServer(running);
+  }
+});
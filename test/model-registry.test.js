@@ -0,0 +1,86 @@
+/**
+ * Backend selection in src/services/model-registry.js.
+ *
+ * The python test rebuilds v1's pickle with ML1.py, the way the registry
+ * docs describe, and runs only where PYTHON_BIN (default python3) has
+ * predict_bp.py's imports.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { ModelRegistry } from '../src/services/model-registry.js';
+import { FEATURE_NAMES } from '../Public/static/js/rppg-features.js';
+
+const rootDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const modelsDir = path.join(rootDir, 'model', 'python_src', 'models');
+const pythonBin = process.env.PYTHON_BIN || 'python3';
+const expected = JSON.parse(fs.readFileSync(path.join(rootDir, 'test', 'fixtures', 'bp_model_v1_predictions.json'), 'utf8'));
+
+const hasPython = spawnSync(pythonBin, ['-c', 'import joblib, numpy, sklearn'], { timeout: 30000 }).status === 0;
+
+const stump = {
+  feature_names: FEATURE_NAMES,
+  scaler: null,
+  trees: [{ children_left: [1, -1, -1], children_right: [2, -1, -1], feature: [0, -2, -2], threshold: [0.5, -2, -2], value: [[0, 0], [100, 60], [140, 90]] }]
+};
+
+async function writeVersion(registryDir, version, metadata, files) {
+  const versionDir = path.join(registryDir, version);
+  await fs.promises.mkdir(versionDir, { recursive: true });
+  await fs.promises.writeFile(path.join(versionDir, 'metadata.json'), JSON.stringify({ version, ...metadata }));
+  for (const [name, content] of Object.entries(files)) {
+    await fs.promises.writeFile(path.join(versionDir, name), content);
+  }
+  return versionDir;
+}
+
+test('the configured backend picks which artifact each version is served from', async () => {
+  const registryDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'model-registry-'));
+  await writeVersion(registryDir, 'both', { artifacts: { node: 'model.json', python: 'model.pkl' }, trainedAt: '2026-01-02' },
+    { 'model.json': JSON.stringify(stump), 'model.pkl': '' });
+  await writeVersion(registryDir, 'node-only', { artifacts: { node: 'model.json' }, trainedAt: '2026-01-01' },
+    { 'model.json': JSON.stringify(stump) });
+  await writeVersion(registryDir, 'legacy-python', { backend: 'python', artifact: 'bp.pkl', trainedAt: '2025-12-31' },
+    { 'bp.pkl': '' });
+  await writeVersion(registryDir, 'missing', { artifacts: { node: 'model.json', python: 'model.pkl' } }, {});
+
+  const node = await new ModelRegistry({ registryDir }).load();
+  assert.deepEqual(node.list().map(m => [m.version, m.backend]), [['both', 'node'], ['node-only', 'node']]);
+
+  const python = await new ModelRegistry({ registryDir, backend: 'python', pythonBin, pythonScript: path.join(rootDir, 'model', 'predict_bp.py') }).load();
+  assert.deepEqual(python.list().map(m => [m.version, m.backend, m.format]),
+    [['both', 'python', 'joblib'], ['legacy-python', 'python', 'joblib']]);
+  assert.equal(python.resolve().version, 'both');
+
+  assert.throws(() => new ModelRegistry({ registryDir, backend: 'onnx' }), /Unknown prediction backend: onnx/);
+});
+
+test(`registry model ${expected.version} serves the sklearn pipeline on the python backend`, { skip: !hasPython && `${pythonBin} lacks joblib, numpy or sklearn` }, async () => {
+  const registryDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'model-registry-'));
+  const versionDir = path.join(registryDir, expected.version);
+  await fs.promises.mkdir(versionDir);
+  await fs.promises.copyFile(path.join(rootDir, 'model', 'registry', expected.version, 'metadata.json'), path.join(versionDir, 'metadata.json'));
+  execFileSync(pythonBin, [path.join(modelsDir, 'ML1.py'), path.join(modelsDir, 'synthetic_bp_dataset.csv'), path.join(versionDir, 'model.pkl')],
+    { cwd: registryDir, stdio: 'ignore', timeout: 120000 });
+
+  const registry = await new ModelRegistry({
+    registryDir,
+    backend: 'python',
+    pythonBin,
+    pythonScript: path.join(rootDir, 'model', 'predict_bp.py')
+  }).load();
+  assert.deepEqual(await registry.checkReady(), { ok: true, version: expected.version, backend: 'python' });
+
+  const { predictor, calibration } = registry.resolve();
+  assert.equal(calibration.method, 'conformal');
+  for (const { features, systolic, diastolic } of expected.cases.slice(0, 2)) {
+    const prediction = await predictor.predict(features);
+    assert.ok(Math.abs(prediction.systolic - systolic) < 1e-6, `systolic: ${prediction.systolic} != ${systolic}`);
+    assert.ok(Math.abs(prediction.diastolic - diastolic) < 1e-6, `diastolic: ${prediction.diastolic} != ${diastolic}`);
+  }
+});
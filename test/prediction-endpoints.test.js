@@ -0,0 +1,111 @@
+/**
+ * /api/predict and /api/process-rppg against a running server.js (file
+ * storage in a temp directory, random port).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import AdmZip from 'adm-zip';
+
+const rootDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+async function startServer() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'endpoints-'));
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: rootDir,
+    env: { ...process.env, PORT: '0', DATA_DIR: dataDir, JWT_SECRET: 'test', STORAGE_BACKEND: 'file' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  let output = '';
+  const port = await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = output.match(/running at http:\/\/localhost:(\d+)/);
+      if (match) resolve(Number(match[1]));
+    });
+    child.once('exit', code => reject(new Error(`server.js exited with ${code}`)));
+  });
+  child.stdout.resume();
+
+  return {
+    baseUrl: `http://localhost:${port}`,
+    async stop() {
+      const exited = once(child, 'exit');
+      child.kill('SIGTERM');
+      await exited;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+async function call(server, method, url, { token, body } = {}) {
+  const response = await fetch(server.baseUrl + url, {
+    method,
+    headers: {
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(body && { 'Content-Type': 'application/json' })
+    },
+    body: body && JSON.stringify(body)
+  });
+  return response;
+}
+
+let server;
+let token;
+test.before(async () => {
+  server = await startServer();
+  token = (await (await call(server, 'POST', '/api/auth/register', {
+    body: { email: 'endpoints@example.com', password: 'password1' }
+  })).json()).token;
+  await call(server, 'POST', '/api/consent', { token, body: { scope: 'signal_storage', version: '1', granted: true } });
+});
+test.after(() => server?.stop());
+
+const trace = length => Array.from({ length }, (_, i) => 100 + Math.sin(2 * Math.PI * 1.2 * i / 30) + 0.1 * Math.sin(i));
+
+async function predict(body) {
+  const queued = await (await call(server, 'POST', '/api/predict', { token, body })).json();
+  let job;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    job = (await (await call(server, 'GET', queued.statusUrl, { token })).json()).data;
+  } while (job.status === 'queued' || job.status === 'running');
+  assert.equal(job.status, 'done');
+  return job.result;
+}
+
+async function storedPredictions() {
+  const exported = new AdmZip(Buffer.from(await (await call(server, 'GET', '/api/me/export', { token })).arrayBuffer()));
+  return JSON.parse(exported.readAsText('predictions.json'));
+}
+
+test('the same trace stores the same features through /api/predict and /api/process-rppg', { timeout: 60000 }, async () => {
+  const reading = { signal: trace(300), sampleRate: 30 };
+  const predicted = await predict(reading);
+  const processed = await (await call(server, 'POST', '/api/process-rppg', { token, body: reading })).json();
+  assert.equal(processed.success, true);
+
+  const stored = await storedPredictions();
+  const [viaPredict, viaProcess] = [predicted.predictionId, processed.data._id].map(id => stored.find(p => p._id === id));
+  assert.deepEqual(viaProcess.features, viaPredict.features);
+  assert.equal(viaProcess.featureSource, 'raw');
+  assert.equal(viaPredict.featureSource, 'raw');
+  assert.equal(viaProcess.systolic, viaPredict.systolic);
+  assert.equal(viaProcess.diastolic, viaPredict.diastolic);
+});
+
+test('/api/predict stores the validated samples that go with the timestamps', { timeout: 60000 }, async () => {
+  const signal = trace(300);
+  const timestamps = signal.map((_, i) => 1000 + Math.round(i * 1000 / 30));
+  const predicted = await predict({ signal: signal.map(String), timestamps });
+
+  const stored = (await storedPredictions()).find(p => p._id === predicted.predictionId);
+  assert.deepEqual(stored.signal, signal);
+  assert.deepEqual(stored.timestamps, timestamps);
+});
@@ -0,0 +1,80 @@
+/**
+ * Parity between Public/static/js/rppg-features.js and the training-time
+ * extractor model/python_src/models/Features.py.
+ *
+ * The fixtures hold a jittered 30 fps trace and the row Features.py wrote
+ * for it (scipy welch/find_peaks, pandas skew/kurtosis). Regenerate with:
+ *   python model/python_src/models/Features.py test/fixtures/rppg_signal_long.csv test/fixtures/rppg_features_long.csv
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { FEATURE_NAMES, extractFeatures, analyzeSignal, estimateSignalQuality, estimateHeartRate, findPeaks, welch, skewness, kurtosis, estimateSampleRate, resampleUniform } from '../Public/static/js/rppg-features.js';
+
+const fixture = name => new URL(`./fixtures/${name}`, import.meta.url);
+
+function readCsv(name) {
+  const [header, ...lines] = readFileSync(fixture(name), 'utf8').trim().split('\n');
+  return {
+    columns: header.split(','),
+    rows: lines.map(line => line.split(',').map(Number))
+  };
+}
+
+function assertClose(actual, expected, message, relTol = 1e-9) {
+  const tolerance = relTol * Math.max(1, Math.abs(expected));
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} != ${expected}`);
+}
+
+for (const size of ['long', 'short']) {
+  test(`extractFeatures matches Features.py (${size} trace)`, () => {
+    const { rows } = readCsv(`rppg_signal_${size}.csv`);
+    const expected = readCsv(`rppg_features_${size}.csv`);
+    assert.deepEqual(expected.columns, FEATURE_NAMES);
+
+    const features = extractFeatures(rows.map(r => r[1]), { timestamps: rows.map(r => r[0]) });
+    assert.equal(features.length, FEATURE_NAMES.length);
+    FEATURE_NAMES.forEach((name, i) => assertClose(features[i], expected.rows[0][i], name));
+  });
+}
+
+test('estimateSampleRate spans the trace, so millisecond frame times of 30 fps give 30 Hz', () => {
+  const seconds = Array.from({ length: 301 }, (_, i) => Math.round(i * 1000 / 30) / 1000);
+  assertClose(estimateSampleRate(seconds), 30, 'sample rate');
+
+  // The uniform grid keeps one sample per input sample
+  const signal = seconds.map(t => Math.sin(t));
+  assert.equal(resampleUniform(signal, seconds, estimateSampleRate(seconds)).length, signal.length);
+});
+
+test('analyzeSignal takes the model features from the raw trace, like Features.py', () => {
+  const { rows } = readCsv('rppg_signal_long.csv');
+  const signal = rows.map(r => r[1]);
+  assert.deepEqual(analyzeSignal(signal, 30), {
+    features: extractFeatures(signal, { sampleRate: 30 }),
+    signalQuality: estimateSignalQuality(signal, 30),
+    heartRate: estimateHeartRate(signal, 30)
+  });
+});
+
+test('findPeaks reports the middle of flat peaks and skips edges', () => {
+  assert.deepEqual(findPeaks([0, 1, 0, 2, 2, 2, 0, 3, 3, 0, 4]), [1, 4, 7]);
+  assert.deepEqual(findPeaks([5, 4, 3]), []);
+});
+
+test('welch density integrates to the signal variance', () => {
+  const fs = 30;
+  const signal = Array.from({ length: 512 }, (_, i) => Math.sin(2 * Math.PI * 1.5 * i / fs));
+  const { frequencies, psd } = welch(signal, fs);
+  const power = psd.reduce((a, b) => a + b, 0) * (frequencies[1] - frequencies[0]);
+
+  assertClose(frequencies[psd.indexOf(Math.max(...psd))], 1.5, 'dominant frequency', 0.05);
+  assertClose(power, 0.5, 'total power', 0.05);
+});
+
+test('skewness and kurtosis use the pandas bias-corrected estimators', () => {
+  // pandas.Series([1, 2, 3, 10]).skew() / .kurtosis()
+  assertClose(skewness([1, 2, 3, 10]), 1.763632614803888, 'skewness');
+  assertClose(kurtosis([1, 2, 3, 10]), 3.2280000000000015, 'kurtosis');
+});
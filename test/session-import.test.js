@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+
+import { expandUploads, BatchLimitError } from '../src/services/session-import.js';
+
+// 5 MB of zeros deflates to a few kilobytes
+function zipUpload(name = 'sessions.zip') {
+  const zip = new AdmZip();
+  zip.addFile('big.csv', Buffer.alloc(5 * 1024 * 1024, 48));
+  zip.addFile('small.json', Buffer.from('{}'));
+  zip.addFile('notes.txt', Buffer.from('skipped'));
+  return { originalname: name, buffer: zip.toBuffer() };
+}
+
+test('expandUploads extracts the CSV and JSON entries of a zip', () => {
+  const sessions = expandUploads([zipUpload()]);
+  assert.deepEqual(sessions.map(s => [s.name, s.buffer.length]), [
+    ['sessions.zip/big.csv', 5 * 1024 * 1024],
+    ['sessions.zip/small.json', 2]
+  ]);
+});
+
+test('expandUploads rejects zips by entry count and declared size before inflating', () => {
+  assert.deepEqual(expandUploads([zipUpload()], { maxArchiveEntries: 2 }),
+    [{ name: 'sessions.zip', error: 'Zip archive has more than 2 entries' }]);
+
+  // The byte budget spans the request: the second archive no longer fits
+  const sessions = expandUploads([zipUpload('a.zip'), zipUpload('b.zip')], { maxUncompressedBytes: 6 * 1024 * 1024 });
+  assert.deepEqual(sessions.map(s => s.error || s.name), [
+    'a.zip/big.csv',
+    'a.zip/small.json',
+    `Zip archive expands past the ${6 * 1024 * 1024} byte batch limit`
+  ]);
+});
+
+test('expandUploads caps the sessions in one request', () => {
+  const plain = { originalname: 'one.csv', buffer: Buffer.from('') };
+  assert.equal(expandUploads([zipUpload(), plain], { maxSessions: 3 }).length, 3);
+  assert.throws(() => expandUploads([zipUpload(), plain], { maxSessions: 2 }),
+    error => error instanceof BatchLimitError && error.status === 413);
+});